@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Updates a data file with Auth0's outbound IP addresses, e.g.
+ *
+ *   refresh-auth0-ips --source https://example.com/auth0-ips.json --out config/auth0-ips.json
+ *
+ * `--source` is the URL or path of a JSON file with the lists by region
+ * (defaults to the AUTH0_IP_ADDRESSES_SOURCE environment variable), and
+ * `--out` the data file to write (defaults to the bundled one).
+ */
+const { refreshIPAddresses } = require('../lib/ip-addresses')
+
+const args = process.argv.slice(2).reduce((options, arg, i, argv) => {
+  if (arg.startsWith('--')) {
+    const [key, value] = arg.slice(2).split('=')
+    return { ...options, [key]: value === undefined ? argv[i + 1] : value }
+  }
+  return options
+}, {})
+
+refreshIPAddresses({ source: args.source || process.env.AUTH0_IP_ADDRESSES_SOURCE, ...(args.out ? { out: args.out } : {}) }).then(
+  ({ regions }) => {
+    for (const [region, list] of Object.entries(regions)) console.log(`${region}: ${list.length} entries`)
+  },
+  err => {
+    console.error(err.message)
+    process.exitCode = 1
+  }
+)
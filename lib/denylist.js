@@ -0,0 +1,122 @@
+const { BadRequest } = require('@feathersjs/errors')
+
+/**
+ * Whether a denylist entry applies to the given token payload. An
+ * entry either names a single token by its `jti`, or every token for
+ * a `sub` that was issued before `issuedBefore` (in seconds since the
+ * epoch, like the `iat` claim). Tokens without an `iat` are treated
+ * as having been issued at the epoch.
+ *
+ * @param   {Object}  entry   The denylist entry
+ * @param   {Object}  payload The decoded access token
+ * @returns {Boolean}         True if the entry revokes the token
+ */
+const matches = (entry, payload) => {
+  if (entry.jti) return entry.jti === payload.jti
+  return !!entry.sub && entry.sub === payload.sub && (payload.iat || 0) < entry.issuedBefore
+}
+
+class Denylist {
+  /**
+   * Keeps track of revoked access tokens, by `jti` or by `sub` plus
+   * an "issued before" time. Entries are kept in memory unless a
+   * Feathers service is returned by `getService`, in which case that
+   * service is the store and entries created on it (e.g. by another
+   * instance of the API) are passed to `onAdd` as well.
+   *
+   * Anything with the same `add()` and `isRevoked()` methods can be
+   * used in place of this class (see `Auth0Strategy.denylist`).
+   *
+   * @param {Function} getService Returns the backing Feathers service, or null to keep entries in memory
+   * @param {Function} onAdd      Called with each entry once it has been added
+   */
+  constructor (getService = () => null, onAdd = () => {}) {
+    this.getService = getService
+    this.onAdd = onAdd
+    this.jtis = new Map()
+    this.subjects = new Map()
+    this.watched = new WeakSet()
+  }
+
+  /**
+   * Returns the backing service (if any), listening for entries
+   * created on it the first time it is used.
+   *
+   * @returns {Object} The backing Feathers service, or null
+   */
+  getStore () {
+    const service = this.getService()
+    if (service && !this.watched.has(service)) {
+      this.watched.add(service)
+      if (typeof service.on === 'function') service.on('created', entry => this.onAdd(entry))
+    }
+    return service || null
+  }
+
+  /**
+   * Adds an entry to the denylist. A `jti` entry may carry the token's
+   * `exp`, after which it is dropped (the token has expired anyway).
+   * A `sub` entry revokes every token issued before `issuedBefore`,
+   * which defaults to now.
+   *
+   * @param   {Object}  entry `{ jti, exp }` or `{ sub, issuedBefore }`
+   * @returns {Promise}       Resolves to the entry that was added
+   * @throws  {BadRequest}    If the entry has neither a `jti` nor a `sub`
+   */
+  async add ({ jti, exp, sub, issuedBefore } = {}) {
+    let entry
+    if (jti) {
+      entry = exp ? { jti, exp } : { jti }
+    } else if (sub) {
+      entry = { sub, issuedBefore: issuedBefore || Math.ceil(Date.now() / 1000) }
+    } else {
+      throw new BadRequest('A denylist entry needs a `jti` or a `sub`')
+    }
+    const service = this.getStore()
+    if (service) return service.create(entry)
+    if (entry.jti) {
+      this.jtis.set(entry.jti, entry.exp || Infinity)
+    } else {
+      this.subjects.set(entry.sub, Math.max(entry.issuedBefore, this.subjects.get(entry.sub) || 0))
+    }
+    this.onAdd(entry)
+    return entry
+  }
+
+  /**
+   * Whether the given (already verified) token has been revoked.
+   *
+   * @param   {Object}  payload The decoded access token
+   * @returns {Promise}         Resolves to true if the token has been revoked
+   */
+  async isRevoked (payload) {
+    const { jti, sub } = payload
+    const service = this.getStore()
+    if (service) {
+      const $or = [
+        ...(jti ? [{ jti }] : []),
+        ...(sub ? [{ sub, issuedBefore: { $gt: payload.iat || 0 } }] : [])
+      ]
+      if (!$or.length) return false
+      const result = await service.find({ query: { $or, $limit: 1 }, paginate: false })
+      return (Array.isArray(result) ? result : result.data).length > 0
+    }
+    this.prune()
+    return (!!jti && this.jtis.has(jti)) ||
+      (!!sub && this.subjects.has(sub) && matches({ sub, issuedBefore: this.subjects.get(sub) }, payload))
+  }
+
+  /**
+   * Drops in-memory `jti` entries for tokens that have expired.
+   */
+  prune () {
+    const now = Date.now() / 1000
+    for (const [jti, exp] of this.jtis) {
+      if (exp <= now) this.jtis.delete(jti)
+    }
+  }
+}
+
+Denylist.matches = matches
+
+module.exports = Denylist
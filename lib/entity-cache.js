@@ -0,0 +1,86 @@
+class EntityCache {
+  /**
+   * Holds the entities that have recently been resolved for access
+   * tokens, keyed by `user_id`, so that authenticated requests don't
+   * all have to query the entity service. At most `max` entities are
+   * kept (the least recently used one is dropped first), each for at
+   * most `ttl` milliseconds.
+   *
+   * Entities are dropped as soon as the entity service emits a
+   * `patched`, `updated` or `removed` event for them, so changes to
+   * e.g. a user's permissions take effect on their next request.
+   *
+   * @param {Object}   service    The entity service
+   * @param {Function} getOptions Returns the current `entityCache` settings
+   */
+  constructor (service, getOptions = () => ({})) {
+    this.service = service
+    this.getOptions = getOptions
+    this.entries = new Map()
+    this.invalidate = this.invalidate.bind(this)
+    if (typeof service.on === 'function') {
+      for (const event of ['patched', 'updated', 'removed']) service.on(event, this.invalidate)
+    }
+  }
+
+  /**
+   * Returns the cached entity for a `user_id`, if it hasn't expired.
+   * Entities are copied in and out of the cache, so changes made to
+   * one while handling a request don't leak into the next.
+   *
+   * @param   {String} user_id The Auth0 user_id
+   * @returns {Object}         The entity, or undefined
+   */
+  get (user_id) {
+    const entry = this.entries.get(user_id)
+    if (!entry) return undefined
+    this.entries.delete(user_id)
+    if (Date.now() >= entry.expiresAt) return undefined
+    // move the entry to the end of the Map, i.e. make it the most recently used
+    this.entries.set(user_id, entry)
+    return { ...entry.entity }
+  }
+
+  /**
+   * Caches the entity for a `user_id`, dropping the least recently
+   * used entities if the cache is full.
+   *
+   * @param   {String}      user_id The Auth0 user_id
+   * @param   {Object}      entity  The entity
+   * @returns {EntityCache}         The cache
+   */
+  set (user_id, entity) {
+    const { max = 0, ttl = 0 } = this.getOptions()
+    this.entries.delete(user_id)
+    this.entries.set(user_id, { entity: { ...entity }, expiresAt: Date.now() + ttl })
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= max) break
+      this.entries.delete(key)
+    }
+    return this
+  }
+
+  /**
+   * Drops every cached copy of an entity that has changed. Entities
+   * are matched on the `id` field of the entity service.
+   *
+   * @param {Object} changed The entity from a service event
+   */
+  invalidate (changed) {
+    const idField = this.service.id
+    const id = changed && changed[idField]
+    if (id === undefined || id === null) return
+    for (const [user_id, { entity }] of this.entries) {
+      if (String(entity[idField]) === String(id)) this.entries.delete(user_id)
+    }
+  }
+
+  /**
+   * Empties the cache.
+   */
+  clear () {
+    this.entries = new Map()
+  }
+}
+
+module.exports = EntityCache
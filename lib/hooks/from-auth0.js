@@ -1,86 +1,238 @@
+const fs = require('fs')
+const net = require('net')
+const path = require('path')
+const { GeneralError } = require('@feathersjs/errors')
+const { bundledFile, readIPAddresses } = require('../ip-addresses')
+
 /**
- * Below IP addresses retrieved on 2019-10-05 from:
- * https://auth0.com/docs/guides/ip-whitelist
+ * Auth0's outbound IP addresses by region, from the bundled data file
+ * (see `lib/data/auth0-ip-addresses.json`) or the `ipAddressesFile` in
+ * the config. They are updated in place by `loadIPAddresses()`, so the
+ * exported `usIPAddresses`, `euIPAddresses` and `auIPAddresses` arrays
+ * stay current.
  */
-const usIPAddresses = [
-  '35.167.74.121',
-  '35.166.202.113',
-  '35.160.3.103',
-  '54.183.64.135',
-  '54.67.77.38',
-  '54.67.15.170',
-  '54.183.204.205',
-  '35.171.156.124',
-  '18.233.90.226',
-  '3.211.189.167'
-]
-const euIPAddresses = [
-  '52.28.56.226',
-  '52.28.45.240',
-  '52.16.224.164',
-  '52.16.193.66',
-  '34.253.4.94',
-  '52.50.106.250',
-  '52.211.56.181',
-  '52.213.38.246',
-  '52.213.74.69',
-  '52.213.216.142',
-  '35.156.51.163',
-  '35.157.221.52',
-  '52.28.184.187',
-  '52.28.212.16',
-  '52.29.176.99',
-  '52.57.230.214',
-  '54.76.184.103',
-  '52.210.122.50',
-  '52.208.95.174',
-  '52.210.122.50',
-  '52.208.95.174',
-  '54.76.184.103'
-]
-const auIPAddresses = [
-  '52.64.84.177',
-  '52.64.111.197',
-  '54.153.131.0',
-  '13.210.52.131',
-  '13.55.232.24',
-  '13.54.254.182',
-  '52.62.91.160',
-  '52.63.36.78',
-  '52.64.120.184',
-  '54.66.205.24',
-  '54.79.46.4'  
-]
-const fromAuth0 = ({
-  whitelist = usIPAddresses
-} = {}) => context => {
-  // get the app from the context
-  const { app } = context
-  // get the Auth0 configuration from the app
-  const { auth0: config } = app.get('authentication')
-  // declare a variable to hold our whitelist
-  let list
-  // has a whitelist been specified as an array?
-  if (Array.isArray(config.whitelist)) {
-    // yes, so use it, as specified
-    list = config.whitelist
-  } else if (config.whitelist && typeof config.whitelist === 'string') {
-    // the whitelist was specified as a string
-    switch (config.whitelist.toLowerCase()) {
-    case 'eu': list = euIPAddresses; break
-    case 'au': list = auIPAddresses; break
-    default: list = usIPAddresses
+const regions = readIPAddresses(bundledFile)
+const { us: usIPAddresses = [], eu: euIPAddresses = [], au: auIPAddresses = [] } = regions
+
+/**
+ * The regions of Auth0's public cloud. The bundled data file only has
+ * lists for `us`, `eu` and `au`; the others can be named once their
+ * lists have been added with `refreshIPAddresses()`. Other names fall
+ * back to `us`.
+ */
+const auth0Regions = ['us', 'eu', 'au', 'jp', 'ca', 'uk']
+
+/**
+ * Returns the IP address list of a region, if it is a region.
+ *
+ * @param   {String} name The lowercased name of the region
+ * @returns {Array}       The list, or undefined if there is no such region
+ */
+const getRegion = name => {
+  if (Object.prototype.hasOwnProperty.call(regions, name)) return regions[name]
+  return auth0Regions.includes(name) ? [] : undefined
+}
+
+/**
+ * Normalises an IP address for matching: IPv4-mapped IPv6 addresses
+ * (e.g. `::ffff:35.167.74.121`, which is what Node reports on
+ * dual-stack servers) become plain IPv4 addresses, and the brackets
+ * and zone index of an IPv6 address are dropped.
+ *
+ * @param   {String} ip The IP address
+ * @returns {Object}    `{ address, type }`, or null if it isn't an IP address
+ */
+const normalizeIP = ip => {
+  if (typeof ip !== 'string') return null
+  let address = ip.trim().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '')
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) address = mapped[1]
+  const version = net.isIP(address)
+  return version ? { address: address.toLowerCase(), type: `ipv${version}` } : null
+}
+
+/**
+ * Parses a whitelist, i.e. a list of single IP addresses, IPv4 and IPv6
+ * CIDR ranges (e.g. `35.167.74.0/24`) and named regions (`us`, `eu`
+ * or `au`), into a `net.BlockList` that addresses can be checked against.
+ *
+ * @param   {Array}        whitelist The whitelist entries
+ * @returns {net.BlockList}          The compiled whitelist
+ * @throws  {GeneralError}           If an entry is not an IP address, CIDR range or region, or is a region without any IP addresses
+ */
+const compileWhitelist = whitelist => {
+  const list = new net.BlockList()
+  const addEntry = entry => {
+    const [ip, prefix, ...rest] = String(entry).split('/')
+    const parsed = normalizeIP(ip)
+    // a range of IPv4-mapped IPv6 addresses is the same range of IPv4 addresses
+    const offset = parsed && parsed.type === 'ipv4' && ip.includes(':') ? 96 : 0
+    const bits = prefix === undefined ? undefined : Number(prefix) - offset
+    const maxBits = parsed && parsed.type === 'ipv4' ? 32 : 128
+    if (!parsed || rest.length || (bits !== undefined && !(/^\d+$/.test(prefix) && bits >= 0 && bits <= maxBits))) {
+      throw new GeneralError(`\`${entry}\` in the IP address whitelist is not an IP address, CIDR range or region.`)
+    }
+    if (bits === undefined) {
+      list.addAddress(parsed.address, parsed.type)
+    } else {
+      list.addSubnet(parsed.address, bits, parsed.type)
+    }
+  }
+  for (const entry of whitelist) {
+    const region = typeof entry === 'string' ? getRegion(entry.toLowerCase()) : undefined
+    // an empty region would silently turn away every request from Auth0
+    if (region && !region.length) {
+      throw new GeneralError(`No IP addresses are known for the \`${entry}\` region. Add them to the data file (see \`refreshIPAddresses()\`) or list them in the whitelist.`)
+    }
+    if (region) region.forEach(addEntry)
+    else addEntry(entry)
+  }
+  return list
+}
+
+/**
+ * The compiled whitelists, so that each one is parsed only once. Named
+ * regions are kept by name, and arrays from the config by identity, so
+ * changing the whitelist in the config means setting a new array.
+ */
+let compiledRegions = new Map()
+let compiledArrays = new WeakMap()
+
+/**
+ * Returns the compiled version of a whitelist.
+ *
+ * @param   {Array|String}  whitelist The whitelist, or the name of a region
+ * @returns {net.BlockList}           The compiled whitelist
+ */
+const getCompiledWhitelist = whitelist => {
+  if (typeof whitelist === 'string') {
+    // names that aren't regions default to US
+    const region = getRegion(whitelist.toLowerCase()) ? whitelist.toLowerCase() : 'us'
+    if (!compiledRegions.has(region)) compiledRegions.set(region, compileWhitelist([region]))
+    return compiledRegions.get(region)
+  }
+  if (!compiledArrays.has(whitelist)) compiledArrays.set(whitelist, compileWhitelist(whitelist))
+  return compiledArrays.get(whitelist)
+}
+
+/**
+ * Replaces the IP address lists with the ones in a data file, e.g.
+ * after it has been updated with `refreshIPAddresses()`, and drops
+ * the compiled whitelists so that they are parsed again. Regions that
+ * are not in the file are emptied.
+ *
+ * @param {String} file The path of the data file (defaults to the bundled one)
+ */
+const loadIPAddresses = (file = bundledFile) => {
+  const loaded = readIPAddresses(file)
+  for (const region of new Set([...Object.keys(regions), ...Object.keys(loaded)])) {
+    if (!regions[region]) regions[region] = []
+    regions[region].splice(0, regions[region].length, ...(loaded[region] || []))
+  }
+  compiledRegions = new Map()
+  compiledArrays = new WeakMap()
+}
+
+/**
+ * The data file that the IP address lists were last loaded from by
+ * `useIPAddressesFile()`, and the watcher that reloads them from it.
+ */
+let watched = { file: null, watcher: null }
+
+/**
+ * Loads the IP address lists from the `ipAddressesFile` in the config
+ * the first time it is seen, and watches it so that the lists are
+ * reloaded whenever it changes (like a local JWKS file, the directory
+ * is watched so that files renamed over it are noticed). A file that
+ * can't be read or parsed leaves the current lists in place.
+ *
+ * @param {String} file The path of the data file
+ */
+const useIPAddressesFile = file => {
+  const absolute = path.resolve(file)
+  if (watched.file === absolute) return
+  if (watched.watcher) watched.watcher.close()
+  loadIPAddresses(absolute)
+  let watcher = null
+  try {
+    watcher = fs.watch(path.dirname(absolute), { persistent: false }, (eventType, filename) => {
+      if (filename && filename.toString() !== path.basename(absolute)) return
+      try {
+        loadIPAddresses(absolute)
+      } catch (err) {
+        // keep the current lists until the file is valid again
+      }
+    })
+    watcher.on('error', () => watcher.close())
+  } catch (err) {
+    // the lists are still loaded, they just won't be reloaded
+  }
+  watched = { file: absolute, watcher }
+}
+
+/**
+ * The whitelist errors that have already been reported, so that a bad
+ * config is logged once rather than on every request.
+ */
+const reported = new Set()
+
+/**
+ * Returns the compiled whitelist for a request: the one in the config,
+ * if any, or else the one passed to the hook. A whitelist that can't
+ * be used (e.g. one with an invalid entry, set at runtime) doesn't
+ * throw, since that would fail every call to the service, including
+ * the ones from the server itself. It is reported once instead, and no
+ * request counts as coming from Auth0 until it is fixed.
+ *
+ * @param   {Object}        config    The `auth0` config
+ * @param   {Array|String}  whitelist The whitelist passed to the hook
+ * @returns {net.BlockList}           The compiled whitelist, or null if it can't be used
+ */
+const getRequestWhitelist = (config, whitelist) => {
+  try {
+    // use the IP address lists from the configured data file, if any
+    if (config.ipAddressesFile) useIPAddressesFile(config.ipAddressesFile)
+    // has a whitelist been specified as an array or a region name?
+    if (Array.isArray(config.whitelist) || (config.whitelist && typeof config.whitelist === 'string')) {
+      // yes, so use it, as specified
+      return getCompiledWhitelist(config.whitelist)
     }
-  } else {
     // unspecified, default to US
-    list = whitelist
+    return getCompiledWhitelist(whitelist)
+  } catch (err) {
+    if (!reported.has(err.message)) {
+      reported.add(err.message)
+      console.error(`fromAuth0(): ${err.message} No request is treated as coming from Auth0 until this is fixed.`)
+    }
+    return null
+  }
+}
+
+const fromAuth0 = ({
+  whitelist = usIPAddresses
+} = {}) => {
+  // compile the whitelist passed to the hook up front
+  getCompiledWhitelist(whitelist)
+  return context => {
+    // get the app from the context
+    const { app } = context
+    // get the Auth0 configuration from the app
+    const { auth0: config } = app.get('authentication')
+    // get the whitelist to check against
+    const list = getRequestWhitelist(config, whitelist)
+    // check to see that the current IP address is whitelisted
+    const ip = normalizeIP(context.params.ip)
+    return !!list && !!ip && list.check(ip.address, ip.type)
   }
-  // check to see that the current IP address is whitelisted
-  return list.includes(context.params.ip)
 }
 
 module.exports = {
+  compileWhitelist,
   fromAuth0,
+  loadIPAddresses,
+  normalizeIP,
+  regions,
+  useIPAddressesFile,
   usIPAddresses,
   euIPAddresses,
   auIPAddresses
@@ -0,0 +1,27 @@
+const { authenticate } = require('@feathersjs/authentication')
+const { GeneralError } = require('@feathersjs/errors')
+
+/**
+ * Works like `authenticate('auth0')`, except that calls without an
+ * access token are let through unauthenticated instead of being
+ * rejected. Calls with a valid access token get `params.user` (or
+ * whatever the entity is called) and `params.authentication` as usual,
+ * and calls with an invalid or expired access token are still rejected.
+ *
+ * @param   {...String} strategies The strategies to authenticate with (defaults to `auth0`)
+ * @returns {Function}             The hook
+ */
+const optionalAuth0 = (...strategies) => {
+  const authenticateHook = authenticate(...(strategies.length ? strategies : ['auth0']))
+  return context => {
+    const { params, type } = context
+    if (type !== 'before') {
+      throw new GeneralError('The optionalAuth0 hook must be used as a before hook')
+    }
+    // no access token means the call continues unauthenticated
+    if (!params.authentication && params.authenticated !== true) return context
+    return authenticateHook(context)
+  }
+}
+
+module.exports = optionalAuth0
@@ -0,0 +1,43 @@
+/**
+ * Returns the decoded access token of an authenticated service call.
+ *
+ * @param   {Object} context The hook context
+ * @returns {Object}         The token payload, or undefined
+ */
+const getPayload = context => ((context.params || {}).authentication || {}).payload
+
+/**
+ * Whether an access token was issued to a machine, i.e. an Auth0
+ * application using the client credentials grant. These have a `sub`
+ * of `<client_id>@clients`.
+ *
+ * @param   {Object}  payload The decoded access token
+ * @returns {Boolean}         True for machine-to-machine tokens
+ */
+const isClientPayload = payload => payload.gty === 'client-credentials' || /@clients$/.test(payload.sub || '')
+
+/**
+ * Creates a predicate for hooks like `iff()` from feathers-hooks-common
+ * that is true when the service call was authenticated with an access
+ * token that was issued to a machine, i.e. another service.
+ */
+const isClient = () => context => {
+  const payload = getPayload(context)
+  return !!payload && isClientPayload(payload)
+}
+
+/**
+ * Creates a predicate for hooks like `iff()` from feathers-hooks-common
+ * that is true when the service call was authenticated with an access
+ * token that was issued to a person.
+ */
+const isUser = () => context => {
+  const payload = getPayload(context)
+  return !!payload && !isClientPayload(payload)
+}
+
+module.exports = {
+  isClient,
+  isClientPayload,
+  isUser
+}
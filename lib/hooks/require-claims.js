@@ -0,0 +1,66 @@
+const { Forbidden, GeneralError, NotAuthenticated } = require('@feathersjs/errors')
+
+/**
+ * Turns the `required` argument of the hooks below into an array of
+ * names for the current service method. `required` may be a single
+ * name (scopes may also be space-delimited), an array of names, or an
+ * object that maps service method names to either of those.
+ *
+ * @param   {String|Array|Object} required The required scopes/permissions
+ * @param   {String}              method   The service method being called
+ * @returns {Array}                        The names required for this method
+ */
+const requiredFor = (required, method) => {
+  if (required && typeof required === 'object' && !Array.isArray(required)) {
+    required = required[method] || []
+  }
+  return (Array.isArray(required) ? required : [required])
+    .reduce((names, name) => names.concat(String(name).split(' ')), [])
+    .filter(Boolean)
+}
+
+/**
+ * Creates a hook that checks the decoded access token (set on
+ * `params.authentication.payload` by `authenticate('auth0')`) for
+ * the required names in the given claim. Calls from the server
+ * itself (i.e. with no `provider`) are not checked.
+ *
+ * @param   {String}   hookName The name of the hook, for error messages
+ * @param   {String}   label    What the claim holds, for error messages
+ * @param   {Function} getNames Takes the token payload and returns the names it grants
+ * @returns {Function}          A function that creates the hook
+ */
+const requireClaims = (hookName, label, getNames) => (required, { any = false } = {}) => context => {
+  const { method, params, type } = context
+  if (type !== 'before') {
+    throw new GeneralError(`The ${hookName} hook must be used as a before hook`)
+  }
+  const names = requiredFor(required, method)
+  if (!params.provider || !names.length) return context
+  const { payload } = params.authentication || {}
+  if (!payload) throw new NotAuthenticated('Not authenticated')
+  const granted = getNames(payload)
+  const missing = names.filter(name => !granted.includes(name))
+  if (any ? missing.length === names.length : missing.length) {
+    throw new Forbidden(`Missing required ${label}: ${missing.join(', ')}`, { [label]: missing })
+  }
+  return context
+}
+
+/**
+ * Requires the access token's `scope` claim to include the given scopes,
+ * either all of them or, with `{ any: true }`, at least one of them.
+ */
+const requireScopes = requireClaims('requireScopes', 'scopes', ({ scope }) => typeof scope === 'string' ? scope.split(' ') : [])
+
+/**
+ * Requires the access token's `permissions` claim (added by Auth0 RBAC)
+ * to include the given permissions, either all of them or, with
+ * `{ any: true }`, at least one of them.
+ */
+const requirePermissions = requireClaims('requirePermissions', 'permissions', ({ permissions }) => Array.isArray(permissions) ? permissions : [])
+
+module.exports = {
+  requireScopes,
+  requirePermissions
+}
@@ -0,0 +1,14 @@
+/**
+ * Sets the audience that the `aud` claim of an access token must
+ * match when it is authenticated on this service. This overrides
+ * the `authentication.auth0.audience` from the app configuration,
+ * so it needs to be registered BEFORE the `authenticate()` hook.
+ *
+ * @param {String|RegExp|Array} audience The audience (or audiences) to accept
+ */
+const setAudience = audience => context => {
+  context.params.audience = audience
+  return context
+}
+
+module.exports = setAudience
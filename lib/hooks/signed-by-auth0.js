@@ -0,0 +1,87 @@
+const crypto = require('crypto')
+
+/**
+ * Returns the content that is signed for a service call: the timestamp
+ * and the JSON of the method, path, id, query and data of the call.
+ *
+ * @param   {Number} timestamp The time of the signature, in seconds since the epoch
+ * @param   {Object} call      `{ method, path, id, query, data }` of the service call
+ * @returns {String}           The content to sign
+ */
+const toSignedContent = (timestamp, { method, path, id, query, data }) => `${timestamp}.${JSON.stringify({
+  method,
+  path,
+  id: id === undefined || id === null ? null : String(id),
+  query: query || {},
+  data: data === undefined ? null : data
+})}`
+
+/**
+ * Signs a service call, e.g. from an Auth0 Action or another server,
+ * and returns the value of the signature header for it.
+ *
+ * @param   {Object} call      `{ method, path, id, query, data }` of the service call
+ * @param   {String} secret    The shared secret to sign with
+ * @param   {String} kid       The id of the secret, if any
+ * @param   {Number} timestamp The time of the signature (defaults to now), in seconds since the epoch
+ * @returns {String}           The header value, `t=<timestamp>,kid=<kid>,v1=<signature>`
+ */
+const signRequest = (call, secret, kid, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(toSignedContent(timestamp, call)).digest('hex')
+  return [`t=${timestamp}`, ...(kid ? [`kid=${kid}`] : []), `v1=${signature}`].join(',')
+}
+
+/**
+ * Returns true if the request carries a valid HMAC-SHA256 signature of
+ * the service call (see `signRequest()`) made within `tolerance`
+ * seconds, with one of the shared `secrets` from `auth0.signing` (or
+ * the options). `secrets` maps key ids to secrets, so that a new secret
+ * can be added before the old one is removed. A signature names its key
+ * with `kid`, or else it is checked against every secret. A signature
+ * is only accepted once. Like `fromAuth0()`, it is meant to be used
+ * with `some()` and `unless()` to let these requests skip `authenticate()`.
+ *
+ * @param   {Object}   options `header`, `secrets` and `tolerance`, overriding `auth0.signing`
+ * @returns {Function}         The hook
+ */
+const signedByAuth0 = (options = {}) => {
+  // the signatures that have been accepted, and when they can be forgotten
+  const seen = new Map()
+  return context => {
+    const { app, params } = context
+    const { auth0 = {} } = app.get('authentication') || {}
+    const { header = 'x-auth0-signature', secrets = {}, tolerance = 300 } = { ...auth0.signing, ...options }
+    const value = (params.headers || {})[header.toLowerCase()]
+    if (typeof value !== 'string') return false
+    const { t, kid, v1 } = value.split(',').reduce((parts, part) => {
+      const [key, ...rest] = part.trim().split('=')
+      return { ...parts, [key]: rest.join('=') }
+    }, {})
+    const timestamp = Number(t)
+    const now = Math.floor(Date.now() / 1000)
+    // only lower-case hex is accepted, so that each signature has a single spelling for the replay check
+    const digest = typeof v1 === 'string' ? v1.toLowerCase() : ''
+    if (!/^[0-9a-f]{64}$/.test(digest) || !Number.isInteger(timestamp) || Math.abs(now - timestamp) > tolerance) return false
+    for (const [signature, expiresAt] of seen) {
+      if (expiresAt <= now) seen.delete(signature)
+    }
+    if (seen.has(digest)) return false
+    // the kid comes from the client, so only the secrets' own keys may be looked up (not e.g. `constructor`)
+    const named = kid && Object.prototype.hasOwnProperty.call(secrets, kid) ? [secrets[kid]] : []
+    const keys = (kid ? named : Object.values(secrets)).filter(secret => typeof secret === 'string' && secret)
+    const { data, id, method, path } = context
+    const content = toSignedContent(timestamp, { method, path, id, query: params.query, data })
+    const signature = Buffer.from(digest, 'hex')
+    const valid = keys.some(secret => {
+      const expected = crypto.createHmac('sha256', secret).update(content).digest()
+      return crypto.timingSafeEqual(expected, signature)
+    })
+    if (valid) seen.set(digest, timestamp + tolerance + 1)
+    return valid
+  }
+}
+
+module.exports = {
+  signedByAuth0,
+  signRequest
+}
@@ -0,0 +1,86 @@
+const { BadRequest, NotAuthenticated } = require('@feathersjs/errors')
+
+class Auth0IdentitiesService {
+  /**
+   * A service that lets an authenticated user see, link and unlink
+   * the Auth0 identities of their entity (see `identities` in the
+   * config). It must be protected with `authenticate('auth0')`.
+   *
+   * - `find()` lists the identities as `{ sub, primary }`, starting
+   *   with the one in the `entityId` field
+   * - `create({ accessToken })` links the identity of another access
+   *   token, which proves that the user is able to sign in as it
+   * - `remove(sub)` unlinks an identity
+   *
+   * @param {Object} options `strategy` is the name the Auth0Strategy was registered under
+   */
+  constructor (options = {}) {
+    this.options = { strategy: 'auth0', ...options }
+  }
+
+  setup (app) {
+    this.app = app
+  }
+
+  /**
+   * Returns the Auth0Strategy registered with the app's authentication service.
+   *
+   * @returns {Auth0Strategy} The strategy
+   */
+  getStrategy () {
+    const [strategy] = this.app.defaultAuthentication().getStrategies(this.options.strategy)
+    return strategy
+  }
+
+  /**
+   * Returns the entity of the authenticated user.
+   *
+   * @param   {Object}           params Service call parameters
+   * @returns {Object}                  The entity
+   * @throws  {NotAuthenticated}        If there is no authenticated user
+   */
+  getEntity (params = {}) {
+    const { entity } = this.getStrategy().configuration
+    if (!params[entity]) throw new NotAuthenticated('Not authenticated')
+    return params[entity]
+  }
+
+  /**
+   * Turns an entity into the list of its identities.
+   *
+   * @param   {Object} entity The entity
+   * @returns {Array}         The identities as `{ sub, primary }`
+   */
+  toIdentities (entity) {
+    const { entityId, linked } = this.getStrategy().getLinkedIdentities(entity)
+    return [
+      { sub: entity[entityId], primary: true },
+      ...linked.map(sub => ({ sub, primary: false }))
+    ]
+  }
+
+  async find (params) {
+    return this.toIdentities(this.getEntity(params))
+  }
+
+  async create (data, params) {
+    const entity = this.getEntity(params)
+    const { accessToken } = data || {}
+    if (!accessToken) throw new BadRequest('The accessToken of the identity to link is required')
+    let payload
+    try {
+      payload = await this.getStrategy().verifyToken(accessToken)
+    } catch (err) {
+      throw new NotAuthenticated('Token could not be verified', err)
+    }
+    await this.getStrategy().linkIdentity(entity, payload.sub)
+    return { sub: payload.sub, primary: false }
+  }
+
+  async remove (sub, params) {
+    await this.getStrategy().unlinkIdentity(this.getEntity(params), sub)
+    return { sub, primary: false }
+  }
+}
+
+module.exports = Auth0IdentitiesService
@@ -1,13 +1,37 @@
+const Auth0IdentitiesService = require('./identities-service')
+const Auth0LogStreamService = require('./log-stream-service')
+const Auth0ManagementService = require('./management-service')
 const Auth0Service = require('./service')
 const Auth0Strategy = require('./strategy')
-const { fromAuth0, usIPAddresses, euIPAddresses, auIPAddresses } = require('./hooks/from-auth0')
+const Denylist = require('./denylist')
+const { fromAuth0, loadIPAddresses, usIPAddresses, euIPAddresses, auIPAddresses } = require('./hooks/from-auth0')
+const { refreshIPAddresses } = require('./ip-addresses')
+const optionalAuth0 = require('./hooks/optional-auth0')
+const { isClient, isUser } = require('./hooks/principal')
+const setAudience = require('./hooks/set-audience')
+const { signedByAuth0, signRequest } = require('./hooks/signed-by-auth0')
+const { requireScopes, requirePermissions } = require('./hooks/require-claims')
 const addIP = require('./middleware/add-ip')
 
 module.exports = {
+  Auth0IdentitiesService,
+  Auth0LogStreamService,
+  Auth0ManagementService,
   Auth0Service,
   Auth0Strategy,
+  Denylist,
   fromAuth0,
+  isClient,
+  isUser,
+  optionalAuth0,
+  setAudience,
+  signedByAuth0,
+  signRequest,
+  requireScopes,
+  requirePermissions,
   addIP,
+  loadIPAddresses,
+  refreshIPAddresses,
   usIPAddresses,
   euIPAddresses,
   auIPAddresses
@@ -0,0 +1,72 @@
+const axios = require('axios')
+const fs = require('fs')
+const path = require('path')
+const { GeneralError } = require('@feathersjs/errors')
+
+/**
+ * The data file with Auth0's outbound IP addresses that comes with
+ * this package. It can be updated with `refreshIPAddresses()`.
+ */
+const bundledFile = path.join(__dirname, 'data', 'auth0-ip-addresses.json')
+
+/**
+ * Checks and tidies up a set of IP address lists, either as
+ * `{ regions: { us: [...], ... } }` (like the data file) or just the
+ * regions. Region names are lowercased and duplicate entries dropped.
+ *
+ * @param   {Object}       data The IP address lists
+ * @returns {Object}            The lists by region
+ * @throws  {GeneralError}      If the lists are not arrays of strings
+ */
+const parseIPAddresses = data => {
+  const regions = data && typeof data.regions === 'object' ? data.regions : data
+  if (!regions || typeof regions !== 'object' || Array.isArray(regions)) {
+    throw new GeneralError('The IP address lists must be an object of regions')
+  }
+  return Object.entries(regions).reduce((result, [region, list]) => {
+    if (!Array.isArray(list) || list.some(entry => typeof entry !== 'string')) {
+      throw new GeneralError(`The IP address list for \`${region}\` must be an array of strings`)
+    }
+    return { ...result, [region.toLowerCase()]: [...new Set(list.map(entry => entry.trim()))] }
+  }, {})
+}
+
+/**
+ * Reads the IP address lists from a data file.
+ *
+ * @param   {String} file The path of the data file
+ * @returns {Object}      The lists by region
+ */
+const readIPAddresses = (file = bundledFile) => parseIPAddresses(JSON.parse(fs.readFileSync(file, 'utf8')))
+
+/**
+ * Gets new IP address lists from a URL or a local JSON file, checks
+ * that every entry is an IP address or CIDR range, and writes them to
+ * a data file (the bundled one by default). The file is replaced in
+ * one go, so that servers watching it never read half of it.
+ *
+ * @param   {Object}  options `source` is the URL or path to get the lists from, `out` the data file to write
+ * @returns {Promise}         Resolves to the data that was written
+ */
+const refreshIPAddresses = async ({ source, out = bundledFile } = {}) => {
+  if (!source) throw new GeneralError('A source URL or file for the IP address lists is required')
+  const raw = /^https?:\/\//i.test(source)
+    ? (await axios({ url: source, timeout: 10000 })).data
+    : JSON.parse(await fs.promises.readFile(source, 'utf8'))
+  const regions = parseIPAddresses(raw)
+  // required here because the hook loads its lists from this module
+  const { compileWhitelist } = require('./hooks/from-auth0')
+  Object.values(regions).forEach(list => compileWhitelist(list))
+  const data = { retrieved: new Date().toISOString().slice(0, 10), source, regions }
+  const tmp = `${out}.${process.pid}.tmp`
+  await fs.promises.writeFile(tmp, `${JSON.stringify(data, null, 2)}\n`)
+  await fs.promises.rename(tmp, out)
+  return data
+}
+
+module.exports = {
+  bundledFile,
+  parseIPAddresses,
+  readIPAddresses,
+  refreshIPAddresses
+}
@@ -0,0 +1,130 @@
+const { NotAuthenticated, Unavailable } = require('@feathersjs/errors')
+
+class JWKSCache {
+  /**
+   * Holds the signing keys retrieved from a single JWKS endpoint.
+   * The whole key set is replaced every time it is fetched, so
+   * keys that have been rotated out or revoked stop being trusted
+   * as soon as the cached set expires.
+   *
+   * Concurrent lookups that need the key set share a single
+   * in-flight fetch, and once `failureThreshold` fetches in a row
+   * have failed no further fetches are attempted for `resetTimeout`
+   * milliseconds (i.e. the circuit is "open").
+   *
+   * @param {Function} fetchKeys  Resolves to `{ keys, maxAge }`, where `keys` is a Map of kid => key
+   * @param {Function} getOptions Returns the current `jwksCache` settings
+   */
+  constructor (fetchKeys, getOptions = () => ({})) {
+    this.fetchKeys = fetchKeys
+    this.getOptions = getOptions
+    this.keys = new Map()
+    this.expiresAt = 0
+    this.fetchedAt = 0
+    this.failures = 0
+    this.openUntil = 0
+    this.pending = null
+  }
+
+  /**
+   * Whether or not the cached key set needs to be fetched again.
+   *
+   * @returns {Boolean} True if the key set has expired
+   */
+  isExpired () {
+    return Date.now() >= this.expiresAt
+  }
+
+  /**
+   * Whether or not the circuit breaker is currently preventing fetches.
+   *
+   * @returns {Boolean} True if the key set may not be fetched right now
+   */
+  isOpen () {
+    return Date.now() < this.openUntil
+  }
+
+  /**
+   * Empties the cache so that the next lookup fetches the key set.
+   */
+  clear () {
+    this.keys = new Map()
+    this.expiresAt = 0
+    this.fetchedAt = 0
+    this.failures = 0
+    this.openUntil = 0
+  }
+
+  /**
+   * Fetches the key set and replaces the cached keys with it. The
+   * `max-age` from the JWKS response takes precedence over the
+   * configured `ttl` unless `cacheControl` has been turned off.
+   * Calls made while a fetch is already in flight share its result.
+   *
+   * @returns {Promise} Resolves once the key set has been replaced
+   */
+  refresh () {
+    if (!this.pending) {
+      this.pending = this.fetch().finally(() => { this.pending = null })
+    }
+    return this.pending
+  }
+
+  /**
+   * Does the actual work for `refresh()` and keeps track of failures
+   * for the circuit breaker.
+   *
+   * @throws {Unavailable} If the circuit breaker is open
+   */
+  async fetch () {
+    const { cacheControl = true, failureThreshold = 0, resetTimeout = 0, ttl = 0 } = this.getOptions()
+    if (this.isOpen()) {
+      throw new Unavailable(`The JWKS endpoint has failed ${this.failures} times in a row and will not be retried until ${new Date(this.openUntil).toISOString()}`)
+    }
+    try {
+      const { keys, maxAge } = await this.fetchKeys()
+      this.keys = keys
+      this.fetchedAt = Date.now()
+      this.expiresAt = this.fetchedAt + (typeof maxAge === 'number' && (cacheControl || maxAge === Infinity) ? maxAge : ttl)
+      this.failures = 0
+    } catch (err) {
+      this.failures++
+      if (failureThreshold > 0 && this.failures >= failureThreshold) {
+        this.openUntil = Date.now() + resetTimeout
+      }
+      throw err
+    }
+  }
+
+  /**
+   * Returns the key with the given kid, fetching the key set if it
+   * has expired. An unknown kid also triggers a fetch (in case the
+   * signing keys have just been rotated), but no more often than
+   * once per `refetchInterval` milliseconds. With `staleWhileRevalidate`
+   * turned on, a known key from an expired key set is returned right
+   * away and the key set is fetched in the background; if that fetch
+   * fails, the last good key set continues to be used.
+   *
+   * @param   {String}           kid The key ID from the token header
+   * @returns {Promise}              Resolves to the matching key
+   * @throws  {NotAuthenticated}     If no key with this kid exists
+   */
+  async getKey (kid) {
+    const { refetchInterval = 0, staleWhileRevalidate = false } = this.getOptions()
+    if (this.isExpired()) {
+      if (staleWhileRevalidate && this.keys.has(kid)) {
+        this.refresh().catch(() => {})
+      } else {
+        await this.refresh()
+      }
+    } else if (!this.keys.has(kid) && Date.now() - this.fetchedAt >= refetchInterval) {
+      await this.refresh()
+    }
+    if (!this.keys.has(kid)) {
+      throw new NotAuthenticated(`No signing key found with kid "${kid}"`)
+    }
+    return this.keys.get(kid)
+  }
+}
+
+module.exports = JWKSCache
@@ -0,0 +1,178 @@
+const crypto = require('crypto')
+const { BadRequest, GeneralError, NotAuthenticated } = require('@feathersjs/errors')
+
+/**
+ * What is done with each type of Auth0 log event by default: a
+ * successful signup (`ss`) creates the entity, a user deletion (`sdu`)
+ * removes it, and a blocked account (`limit_wc`) or password change
+ * (`scp`) patches it. `data` may be a function of the log event.
+ */
+const defaultEvents = {
+  ss: { method: 'create' },
+  sdu: { method: 'remove' },
+  limit_wc: { method: 'patch', data: { blocked: true } },
+  scp: { method: 'patch', data: ({ date }) => ({ passwordChangedAt: date }) }
+}
+
+/**
+ * Compares two strings in constant time.
+ *
+ * @param   {String}  a One string
+ * @param   {String}  b The other string
+ * @returns {Boolean}   True if they are the same
+ */
+const safeEqual = (a, b) => {
+  const [hashA, hashB] = [a, b].map(value => crypto.createHash('sha256').update(String(value)).digest())
+  return crypto.timingSafeEqual(hashA, hashB)
+}
+
+class Auth0LogStreamService {
+  /**
+   * A service that receives the events of an Auth0 custom webhook log
+   * stream on `create()` and keeps the entity service in sync with
+   * them (see `defaultEvents`). Requests from a provider must carry
+   * the shared secret in `auth0.logStream.secret` as their
+   * `Authorization` header. Every event is handled at most once (by
+   * its `log_id`), and events older than `maxAge` are ignored, so
+   * replayed and re-sent batches don't change anything.
+   *
+   * @param {Object} options `strategy` is the name the Auth0Strategy was registered under
+   */
+  constructor (options = {}) {
+    this.options = { strategy: 'auth0', ...options }
+    this.handled = new Map()
+  }
+
+  setup (app) {
+    this.app = app
+  }
+
+  /**
+   * Returns the Auth0Strategy registered with the app's authentication service.
+   *
+   * @returns {Auth0Strategy} The strategy
+   */
+  getStrategy () {
+    const [strategy] = this.app.defaultAuthentication().getStrategies(this.options.strategy)
+    return strategy
+  }
+
+  /**
+   * Returns the `auth0.logStream` settings with the defaults filled in.
+   *
+   * @returns {Object} The settings
+   */
+  getSettings () {
+    const { auth0 = {} } = this.app.get('authentication') || {}
+    const { events = {}, maxAge = 24 * 60 * 60 * 1000, secret } = auth0.logStream || {}
+    return { events: { ...defaultEvents, ...events }, maxAge, secret }
+  }
+
+  /**
+   * Checks that a request from a provider carries the shared secret,
+   * either as-is or as a bearer token, in its `Authorization` header.
+   *
+   * @param   {Object}           params Service call parameters
+   * @throws  {NotAuthenticated}        If the secret is missing or wrong
+   */
+  verifyRequest (params = {}) {
+    if (!params.provider) return
+    const { secret } = this.getSettings()
+    if (!secret) throw new GeneralError('You must set `authentication.auth0.logStream.secret` to receive log stream events.')
+    const { authorization = '' } = params.headers || {}
+    const token = authorization.replace(/^Bearer\s+/i, '')
+    if (!safeEqual(token, secret)) throw new NotAuthenticated('The log stream request could not be verified')
+  }
+
+  /**
+   * Whether an event has already been handled, dropping the `log_id`s
+   * of events that are too old to be accepted again anyway.
+   *
+   * @param   {String}  logId The `log_id` of the event
+   * @returns {Boolean}       True if the event has been handled
+   */
+  isHandled (logId) {
+    const now = Date.now()
+    for (const [id, expiresAt] of this.handled) {
+      if (expiresAt <= now) this.handled.delete(id)
+    }
+    return this.handled.has(logId)
+  }
+
+  /**
+   * Applies a single log event to the entity service.
+   *
+   * @param   {Object}  event The `data` of the log event
+   * @param   {Object}  action `{ method, data }` from the `events` settings
+   * @returns {Promise}        Resolves to what was done: `created`, `patched`, `removed` or `ignored`
+   */
+  async applyEvent (event, action) {
+    const strategy = this.getStrategy()
+    const { entityId, identities, service } = strategy.getEntityOptions()
+    const entityService = this.app.service(service)
+    const data = typeof action.data === 'function' ? action.data(event) : action.data || {}
+    const query = { $limit: 1, ...strategy.getEntityQuery(event.user_id, { sub: event.user_id }, { entityId, identities }) }
+    const [entity] = await entityService.find({ paginate: false, query })
+    if (action.method === 'create') {
+      if (entity) return 'ignored'
+      await entityService.create({ ...data, [entityId]: event.user_id })
+      return 'created'
+    }
+    if (!entity) return 'ignored'
+    const id = entity[entityService.id]
+    if (action.method === 'patch') {
+      await entityService.patch(id, data)
+      return 'patched'
+    }
+    if (action.method === 'remove') {
+      await entityService.remove(id)
+      return 'removed'
+    }
+    throw new GeneralError(`Unknown log stream method \`${action.method}\``)
+  }
+
+  /**
+   * Receives a batch (or a single one) of log stream events. Events are
+   * handled in order, and if one fails the rest are not, and the error
+   * is thrown so that Auth0 sends the batch again. Events that were
+   * handled the first time are skipped then.
+   *
+   * @param   {Array|Object} data   The log events, as `{ log_id, data }`
+   * @param   {Object}       params Service call parameters
+   * @returns {Promise}             Resolves to `{ log_id, type, result }` for each event (`expired`, `duplicate`, or see `applyEvent()`)
+   */
+  async create (data, params) {
+    this.verifyRequest(params)
+    const logs = Array.isArray(data) ? data : [data]
+    if (logs.some(log => !log || !log.log_id || !log.data)) throw new BadRequest('Log stream events need a `log_id` and `data`')
+    const { events, maxAge } = this.getSettings()
+    const results = []
+    for (const { log_id, data: event } of logs) {
+      const { date, type, user_id } = event
+      const action = events[type]
+      const time = new Date(date).getTime()
+      let result
+      // events without a valid date count as too old
+      if (!(Date.now() - time <= maxAge)) {
+        result = 'expired'
+      } else if (this.isHandled(log_id)) {
+        result = 'duplicate'
+      } else {
+        // mark the event first, so that a batch sent again while this one is still being handled skips it
+        this.handled.set(log_id, time + maxAge)
+        try {
+          result = action && user_id ? await this.applyEvent(event, action) : 'ignored'
+        } catch (err) {
+          this.handled.delete(log_id)
+          throw err
+        }
+      }
+      results.push({ log_id, type, result })
+    }
+    return Array.isArray(data) ? results : results[0]
+  }
+}
+
+Auth0LogStreamService.defaultEvents = defaultEvents
+
+module.exports = Auth0LogStreamService
@@ -0,0 +1,254 @@
+const axios = require('axios')
+const errors = require('@feathersjs/errors')
+
+const { BadRequest, GeneralError } = errors
+
+/**
+ * The client credentials tokens for the Management API, per app and
+ * client, so that every `Auth0ManagementService` of an app shares them.
+ */
+const tokenCaches = new WeakMap()
+
+/**
+ * Turns an `axios` error into the Feathers error for its status code,
+ * keeping the message and body that the Management API sent back.
+ *
+ * @param   {Error}         err The error thrown by `axios`
+ * @returns {FeathersError}     The Feathers error
+ */
+const toFeathersError = err => {
+  if (!err.response) return new GeneralError(err.message, { code: err.code })
+  const { data = {}, status } = err.response
+  const FeathersError = errors[status] || GeneralError
+  return new FeathersError((data && data.message) || err.message, data)
+}
+
+/**
+ * Turns the query of a `find()` into the Management API's parameters.
+ * `$sort` on a single field becomes `sort` (e.g. `created_at:-1`) and
+ * `$select` becomes `fields`. Other parameters are passed on as-is, so
+ * they must be plain values the API understands, like `q` for users.
+ *
+ * @param   {Object}     query The query, without `$limit` and `$skip`
+ * @returns {Object}           The parameters for the API
+ * @throws  {BadRequest}       If the query uses operators the API does not have
+ */
+const toApiParams = ({ $sort, $select, ...query }) => {
+  const unsupported = Object.keys(query).find(key => key.startsWith('$') || (query[key] !== null && typeof query[key] === 'object'))
+  if (unsupported) throw new BadRequest(`The Management API cannot be queried with \`${unsupported}\``)
+  const params = { ...query }
+  if ($sort) {
+    const fields = Object.keys($sort)
+    if (fields.length !== 1) throw new BadRequest('The Management API can only `$sort` on a single field')
+    params.sort = `${fields[0]}:${Number($sort[fields[0]]) < 0 ? -1 : 1}`
+  }
+  if ($select) {
+    params.fields = [].concat($select).join(',')
+    params.include_fields = true
+  }
+  return params
+}
+
+class Auth0ManagementService {
+  /**
+   * A service that implements `find`, `get`, `patch` and `remove` on top
+   * of a resource of the Auth0 Management API, e.g. `users` or `roles`.
+   * It gets (and caches) an access token for the Management API with the
+   * client credentials in the `auth0.management` config, maps `$limit`
+   * and `$skip` to the API's pages, and backs off when it is rate limited.
+   *
+   * @param {Object} options `resource` is the Management API resource,
+   *                         `id` its id field, and `paginate` the
+   *                         `default` and `max` page size
+   */
+  constructor (options = {}) {
+    this.options = { resource: 'users', paginate: { default: 50, max: 100 }, ...options }
+    this.id = this.options.id || (this.options.resource === 'users' ? 'user_id' : 'id')
+  }
+
+  setup (app) {
+    this.app = app
+  }
+
+  /**
+   * Returns the Management API settings, i.e. `auth0.management` with
+   * the defaults filled in from `auth0.domain`.
+   *
+   * @returns {Object} The settings
+   */
+  getSettings () {
+    const { auth0 = {}, domain: authDomain } = this.app.get('authentication') || {}
+    const { domain = auth0.domain || authDomain, ...management } = auth0.management || {}
+    if (!domain || !management.clientId || !management.clientSecret) {
+      throw new GeneralError('You must set `authentication.auth0.domain`, and `clientId` and `clientSecret` in `authentication.auth0.management`, to use the Management API.')
+    }
+    const url = management.url || `https://${domain}`
+    return {
+      audience: `https://${domain}/api/v2/`,
+      retries: 3,
+      retryDelay: 1000,
+      timeout: 5000,
+      ...management,
+      url: url.replace(/\/+$/, '')
+    }
+  }
+
+  /**
+   * Returns an access token for the Management API, getting a new one
+   * with the client credentials grant once the cached one is within a
+   * minute of expiring. Concurrent calls share a single token request.
+   *
+   * @returns {Promise} Resolves to the access token
+   */
+  async getAccessToken () {
+    const { audience, clientId, clientSecret, timeout, url } = this.getSettings()
+    if (!tokenCaches.has(this.app)) tokenCaches.set(this.app, new Map())
+    const tokens = tokenCaches.get(this.app)
+    const key = `${url}|${clientId}`
+    const cached = tokens.get(key)
+    if (cached && (!cached.expiresAt || cached.expiresAt > Date.now() + 60 * 1000)) return cached.token
+    const token = this.withBackoff(() => axios({
+      method: 'post',
+      url: `${url}/oauth/token`,
+      timeout,
+      data: { grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret, audience }
+    })).then(
+      ({ data }) => {
+        tokens.set(key, { token: Promise.resolve(data.access_token), expiresAt: Date.now() + data.expires_in * 1000 })
+        return data.access_token
+      },
+      err => {
+        tokens.delete(key)
+        throw toFeathersError(err)
+      }
+    )
+    tokens.set(key, { token })
+    return token
+  }
+
+  /**
+   * Makes a request, retrying it with exponential backoff if it fails
+   * to connect or gets a 429 or 5xx response. A 429 response waits
+   * until the `x-ratelimit-reset` time the API sent, if there is one.
+   *
+   * @param   {Function} request Makes the request with `axios`
+   * @returns {Promise}          Resolves to the `axios` response
+   */
+  async withBackoff (request) {
+    const { retries, retryDelay } = this.getSettings()
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request()
+      } catch (err) {
+        const status = err.response && err.response.status
+        const retryable = !status || status === 429 || status >= 500
+        if (!retryable || attempt >= retries) throw err
+        const reset = status === 429 && Number(err.response.headers['x-ratelimit-reset'])
+        const delay = reset ? Math.max(reset * 1000 - Date.now(), 0) : retryDelay * 2 ** attempt
+        await new Promise(resolve => setTimeout(resolve, delay))
+      }
+    }
+  }
+
+  /**
+   * Calls the Management API for the resource of this service.
+   *
+   * @param   {String}  method HTTP method
+   * @param   {String}  id     Id of a single record, if any
+   * @param   {Object}  config Extra `axios` config, e.g. `params` or `data`
+   * @returns {Promise}        Resolves to the body of the response
+   */
+  async request (method, id, config = {}) {
+    const { timeout, url } = this.getSettings()
+    const accessToken = await this.getAccessToken()
+    const path = id === null || id === undefined ? '' : `/${encodeURIComponent(id)}`
+    try {
+      const { data } = await this.withBackoff(() => axios({
+        method,
+        url: `${url}/api/v2/${this.options.resource}${path}`,
+        timeout,
+        headers: { Authorization: `Bearer ${accessToken}` },
+        ...config
+      }))
+      return data
+    } catch (err) {
+      throw toFeathersError(err)
+    }
+  }
+
+  /**
+   * Finds records. `$limit` and `$skip` are mapped to the API's
+   * `per_page` and `page` (so `$skip` must be a multiple of `$limit`),
+   * and the rest of the query as described in `toApiParams()`. Results
+   * are paginated like the Feathers database adapters unless `paginate`
+   * is `false`, in which case every page (up to `$limit` records) is
+   * fetched.
+   *
+   * @param   {Object}  params Service call parameters
+   * @returns {Promise}        Resolves to `{ total, limit, skip, data }` or an array
+   */
+  async find (params = {}) {
+    const { $limit, $skip = 0, ...query } = params.query || {}
+    const apiParams = toApiParams(query)
+    const paginate = params.paginate === undefined ? this.options.paginate : params.paginate
+    const { default: perPage = 50, max = 100 } = paginate || this.options.paginate || {}
+    const skip = Number($skip)
+    if (!paginate) return this.findAll(apiParams, skip, $limit === undefined ? Infinity : Number($limit), max)
+    const limit = Math.min($limit === undefined ? perPage : Number($limit), max)
+    if (!(limit > 0)) {
+      return { total: 0, limit: 0, skip, data: [] }
+    }
+    if (skip % limit !== 0) throw new BadRequest('`$skip` must be a multiple of `$limit`')
+    const result = await this.request('get', null, {
+      params: { ...apiParams, page: skip / limit, per_page: limit, include_totals: true }
+    })
+    const data = Array.isArray(result) ? result : result[this.options.resource]
+    return { total: Array.isArray(result) ? data.length : result.total, limit, skip, data }
+  }
+
+  /**
+   * Fetches page after page of records, starting at `skip`, until there
+   * are `limit` of them or the API has no more.
+   *
+   * @param   {Object}  params  The parameters for the API
+   * @param   {Number}  skip    The number of records to skip
+   * @param   {Number}  limit   The most records to return
+   * @param   {Number}  perPage The size of each page
+   * @returns {Promise}         Resolves to an array of the records
+   */
+  async findAll (params, skip, limit, perPage) {
+    const data = []
+    let page = Math.floor(skip / perPage)
+    let offset = skip % perPage
+    while (data.length < limit) {
+      const result = await this.request('get', null, {
+        params: { ...params, page, per_page: perPage, include_totals: true }
+      })
+      const records = Array.isArray(result) ? result : result[this.options.resource]
+      data.push(...records.slice(offset))
+      const last = Array.isArray(result) ? records.length < perPage : (page + 1) * perPage >= result.total
+      if (last || !records.length) break
+      page++
+      offset = 0
+    }
+    return data.slice(0, limit)
+  }
+
+  async get (id) {
+    return this.request('get', id)
+  }
+
+  async patch (id, data) {
+    if (id === null) throw new BadRequest('Patching multiple records is not supported')
+    return this.request('patch', id, { data })
+  }
+
+  async remove (id) {
+    if (id === null) throw new BadRequest('Removing multiple records is not supported')
+    const record = await this.get(id)
+    await this.request('delete', id)
+    return record
+  }
+}
+
+module.exports = Auth0ManagementService
@@ -1,36 +1,89 @@
 const { AuthenticationService, authenticate } = require('@feathersjs/authentication')
+const { GeneralError } = require('@feathersjs/errors')
 const { isProvider, some, unless } = require('feathers-hooks-common')
-const { fromAuth0 } = require('./hooks/from-auth0')
+const { fromAuth0, useIPAddressesFile } = require('./hooks/from-auth0')
+const optionalAuth0 = require('./hooks/optional-auth0')
+const { signedByAuth0 } = require('./hooks/signed-by-auth0')
+const setAudience = require('./hooks/set-audience')
+
+/**
+ * Returns a channel with just the given real time connection, taken
+ * from the app's channels, so the connection must have joined at least
+ * one of them (e.g. the `authenticated` channel).
+ *
+ * @param   {Object} app        The Feathers app
+ * @param   {Object} connection A Socket.io/Primus connection
+ * @returns {Object}            The channel
+ */
+const connectionChannel = (app, connection) => connection ? app.channel(app.channels).filter(c => c === connection) : null
 
 class Auth0Service extends AuthenticationService {
+  /**
+   * Adds the `token-expiring` event (see `Auth0Strategy.emitTokenExpiring()`)
+   * to the events of the authentication service.
+   */
+  constructor(...args) {
+    super(...args)
+    this.events = [...(this.events || []), 'token-expiring']
+  }
+
   setup() {
     // get the authStrategies and secret (if any) from the configuration
-    const { auth0: { autoregister = false, services }, authStrategies, secret } = this.configuration
+    const { auth0: { autoregister = false, fromAuth0: trustAuth0 = 'ip', ipAddressesFile, optionalServices = [], service: auth0Service, serviceAudiences = {}, services, whitelist }, authStrategies, secret, service } = this.configuration
+    const onlyAuth0 = authStrategies.length === 1 && authStrategies[0] === 'auth0'
 
     // if secret is NOT set and auth0 is the ONLY strategy
-    if (typeof secret !== 'string' && authStrategies.length === 1 && authStrategies[0] === 'auth0') {
+    if (typeof secret !== 'string' && onlyAuth0) {
       // we need to set a dummy secret to prevent super.setup() from throwing an error
       this.app.set('authentication', { ...this.configuration, secret: 'I_am_not_used' })
     }
 
+    // if auth0 is the ONLY strategy and it doesn't use an entity service (users are built from the token claims)
+    if (auth0Service === null && service === undefined && onlyAuth0) {
+      // super.setup() needs to be told that there is no entity service
+      this.app.set('authentication', { ...this.configuration, entity: null })
+    }
+
     // then call the parent setup method
     super.setup()
 
+    // token-expiring events only go to the connection whose token is expiring
+    if (typeof this.publish === 'function') {
+      this.publish('token-expiring', (data, { connection }) => connectionChannel(this.app, connection))
+    }
+
     // if autoregister is true
     if (autoregister) {
       // get the list of services which will be registered to use Auth0 authentication
       // defaults to ALL services registered on the app
       const svcs = Array.isArray(services) ? services : Object.keys(this.app.services)
 
+      // requests from Auth0 can skip authentication if they come from one of its IP addresses and/or are signed
+      // the configured whitelist is compiled here, so that one that can't work (e.g. a region without any IP addresses) fails at startup
+      const checks = {
+        ip: () => {
+          if (ipAddressesFile) useIPAddressesFile(ipAddressesFile)
+          return fromAuth0(Array.isArray(whitelist) || (whitelist && typeof whitelist === 'string') ? { whitelist } : undefined)
+        },
+        signature: signedByAuth0
+      }
+      const trusted = [].concat(trustAuth0 || []).map(check => {
+        if (!checks[check]) throw new GeneralError('`authentication.auth0.fromAuth0` may only be \'ip\', \'signature\', both of them, or false.')
+        return checks[check]()
+      })
+
       // register the authenticate hook on teh requested services
       for (let svc of svcs) {
         if (svc !== 'authentication') {
+          // services can let calls without an access token through
+          const authenticateHook = optionalServices.includes(svc) ? optionalAuth0() : authenticate('auth0')
+          const all = [
+            unless(some(isProvider('server'), ...trusted), authenticateHook)
+          ]
+          // services can require a different audience than the rest of the app
+          if (serviceAudiences[svc]) all.unshift(setAudience(serviceAudiences[svc]))
           this.app.service(svc).hooks({
-            before: {
-              all: [
-                unless(some(isProvider('server'), fromAuth0()), authenticate('auth0'))
-              ]
-            }
+            before: { all }
           })
         }
       }
@@ -1,17 +1,69 @@
 const { AuthenticationBaseStrategy } = require('@feathersjs/authentication')
-const { GeneralError, NotAuthenticated } = require('@feathersjs/errors')
+const { BadRequest, Conflict, GeneralError, NotAuthenticated, NotFound } = require('@feathersjs/errors')
 const axios = require('axios')
+const crypto = require('crypto')
+const fs = require('fs')
 const jwt = require('jsonwebtoken')
-const { omit } = require('lodash')
+const { isEqual, omit, pick } = require('lodash')
 const lt = require('long-timeout')
+const path = require('path')
+const Denylist = require('./denylist')
+const EntityCache = require('./entity-cache')
+const JWKSCache = require('./jwks-cache')
+const { isClientPayload } = require('./hooks/principal')
+
+/**
+ * The asymmetric algorithms that may be used to sign access tokens,
+ * along with the type of key (and for EC keys, the curve) each needs
+ */
+const ALGORITHMS = {
+  RS256: { types: ['rsa'] },
+  RS384: { types: ['rsa'] },
+  RS512: { types: ['rsa'] },
+  PS256: { types: ['rsa', 'rsa-pss'] },
+  PS384: { types: ['rsa', 'rsa-pss'] },
+  PS512: { types: ['rsa', 'rsa-pss'] },
+  ES256: { types: ['ec'], namedCurve: 'prime256v1' },
+  ES384: { types: ['ec'], namedCurve: 'secp384r1' },
+  ES512: { types: ['ec'], namedCurve: 'secp521r1' }
+}
+
+/**
+ * Fills in the `issuer`, `jwksUri` and `audience` of a trusted issuer
+ * from its Auth0 `domain`, unless they have been set explicitly (e.g.
+ * for a custom domain, where the issuer differs from the tenant).
+ * Issuers may also be given as just the domain.
+ *
+ * @param   {String|Object} entry    An entry from `authentication.auth0.issuers`
+ * @param   {*}             audience The audience to use if the entry doesn't set one
+ * @returns {Object}                 The trusted issuer
+ */
+const toIssuer = (entry, audience) => {
+  const { domain, ...options } = typeof entry === 'string' ? { domain: entry } : entry
+  return {
+    domain,
+    issuer: `https://${domain}/`,
+    jwksUri: `https://${domain}/.well-known/jwks.json`,
+    audience: audience || (domain && [`https://${domain}/api/v2/`, `https://${domain}/userinfo`]),
+    ...options
+  }
+}
 
 class Auth0Strategy extends AuthenticationBaseStrategy {
   /**
    * Mainly calling this so that we have an opportunity to
-   * initialize the `expirationTimers` property. This is
-   * used to maintain long-running login information. Also,
-   * the `jwks` property keeps a list of already-retrieved
-   * JWKs.
+   * initialize the `expirationTimers` and `warningTimers` properties.
+   * These are used to maintain long-running login information. Also,
+   * the `jwks` property keeps a JWKSCache of already-retrieved
+   * signing keys for each JWKS endpoint (or file), `inlineJWKS`
+   * one for each JWKS set in the configuration, and `jwksWatchers`
+   * the watchers for changes to JWKS files. The `connections` property
+   * holds the token payload of each authenticated real time connection
+   * so that they can be closed when their token is revoked, and
+   * `denylist` keeps track of revoked tokens (it can be replaced with
+   * any object that has the same `add()` and `isRevoked()` methods).
+   * `entityCaches` holds an EntityCache for each entity service, and
+   * `pendingEntities` the lookups in progress for each entity service.
    *
    * @param {Object} app The Feathers app
    * @param {String} configKey The configuration key
@@ -20,37 +72,92 @@ class Auth0Strategy extends AuthenticationBaseStrategy {
   constructor (app, configKey = 'authentication', options = {}) {
     super(app, configKey, options)
     this.expirationTimers = new WeakMap()
+    this.warningTimers = new WeakMap()
     this.jwks = new Map()
+    this.inlineJWKS = new WeakMap()
+    this.jwksWatchers = new Map()
+    this.connections = new Map()
+    this.entityCaches = new WeakMap()
+    this.pendingEntities = new WeakMap()
+    this.denylist = new Denylist(
+      () => {
+        const { service } = this.configuration.denylist
+        return service ? this.app.service(service) : null
+      },
+      entry => this.disconnectRevoked(entry)
+    )
   }
 
   /**
    * Returns the configuration settings for the Auth0 strategy.
    * This strategy maintains its own _separate_ set of JWT options.
-   * The reason is that we are using the RS256 verification
-   * algorithm instead of the HS256 used by the JWT, OAuth, and
-   * other strategies.
+   * The reason is that we are using asymmetric verification
+   * algorithms (RS256 by default) instead of the HS256 used by
+   * the JWT, OAuth, and other strategies. The `issuers` are every
+   * issuer whose tokens are trusted, starting with the one for the
+   * Auth0 `domain` (if it is set).
    */
   get configuration () {
     const { auth0, domain, entity, entityId, header, schemes, service } = this.authentication.configuration
-    const { create = false, jwtOptions, whitelist } = auth0
+    const { algorithms = ['RS256'], channels = false, claims = {}, clients = false, cookie = false, create = false, denylist = {}, entityCache = false, expiryWarning = 60 * 1000, identities = false, jwksCache, jwksRequest, jwtOptions, queryParam = false, syncOnLogin = false, whitelist } = auth0
+    const primaryDomain = auth0.domain || domain
+    const issuers = [
+      ...(primaryDomain ? [{ domain: primaryDomain, ...pick(jwtOptions, ['audience', 'issuer']), ...pick(auth0, ['jwks', 'jwksFile', 'jwksSource']) }] : []),
+      ...(auth0.issuers || [])
+    ].map(entry => toIssuer(entry, auth0.audience))
+    const [primary = {}] = issuers
     return {
+      channels: channels && (channels === true ? { users: 'sub', orgs: 'org_id', permissions: 'permissions' } : channels),
+      claims,
+      clients: clients && {
+        claims: {},
+        create: false,
+        entity: 'client',
+        entityId: 'client_id',
+        identities: false,
+        lookup: null,
+        service: 'clients',
+        syncOnLogin: false,
+        ...(clients === true ? {} : clients)
+      },
+      cookie: cookie === true ? 'access_token' : cookie,
       create,
+      denylist,
       entity: auth0.entity || entity || 'user',
+      entityCache: entityCache && { max: 1000, ttl: 60 * 1000, ...(entityCache === true ? {} : entityCache) },
       entityId: auth0.entityId || entityId || 'user_id',
+      expiryWarning,
       header: auth0.header || header || 'Authorization',
-      jwksUri: `https://${auth0.domain || domain}/.well-known/jwks.json`,
+      identities: identities === true ? 'identities' : identities,
+      jwksCache: {
+        cacheControl: true,
+        failureThreshold: 5,
+        refetchInterval: 30 * 1000,
+        resetTimeout: 30 * 1000,
+        staleWhileRevalidate: false,
+        ttl: 10 * 60 * 1000,
+        ...jwksCache
+      },
+      jwksRequest: {
+        retries: 2,
+        retryDelay: 250,
+        timeout: 5000,
+        ...jwksRequest
+      },
+      issuers,
+      jwksUri: primary.jwksUri,
       jwtOptions: {
-        algorithms: ['RS256'],
-        audiences: [
-          `https://${auth0.domain || domain}/api/v2`,
-          `https://${auth0.domain || domain}/userinfo`
-        ],
+        algorithms,
+        audience: primary.audience,
         ignoreExpiration: false,
-        issuer: `https://${auth0.domain || domain}/`,
+        issuer: primary.issuer,
         ...jwtOptions
       },
+      lookup: auth0.lookup || null,
+      queryParam: queryParam === true ? 'access_token' : queryParam,
       schemes: auth0.schemes || schemes || ['Bearer', 'JWT'],
-      service: auth0.service || service || 'users',
+      service: auth0.service === null ? null : auth0.service || service || 'users',
+      syncOnLogin,
       whitelist: whitelist || []
     }
   }
@@ -62,84 +169,353 @@ class Auth0Strategy extends AuthenticationBaseStrategy {
    * options are not set, or if "extra" options have been set.
    */
   verifyConfiguration () {
-    // the domain is the only required setting
+    // the domain (or a list of trusted issuers) is the only required setting
     const { auth0, domain } = this.authentication.configuration
-    if (!auth0.domain && !domain) {
+    if (!auth0.domain && !domain && !(Array.isArray(auth0.issuers) && auth0.issuers.length)) {
       throw new GeneralError('You must set `authentication.auth0.domain` in your app configuration.')
     }
+    // every trusted issuer needs to say where its keys are and who its tokens are for
+    const { issuers } = this.configuration
+    if (issuers.some(({ audience, domain, issuer, jwks, jwksFile, jwksUri }) => !domain && !(issuer && (jwksUri || jwks || jwksFile) && audience))) {
+      throw new GeneralError('Each of `authentication.auth0.issuers` needs a `domain`, or an `issuer`, `audience` and `jwksUri` (or `jwks` or `jwksFile`).')
+    }
+    if (issuers.some(({ jwksSource }) => jwksSource && !['local', 'local-first', 'remote-first'].includes(jwksSource))) {
+      throw new GeneralError('`jwksSource` must be one of local, local-first or remote-first.')
+    }
+    // only asymmetric algorithms can be verified with the keys in a JWKS
+    const { algorithms } = this.configuration.jwtOptions
+    if (!Array.isArray(algorithms) || !algorithms.length || algorithms.some(alg => !ALGORITHMS[alg])) {
+      throw new GeneralError(`\`authentication.auth0.algorithms\` may only contain ${Object.keys(ALGORITHMS).join(', ')}.`)
+    }
   }
 
   /**
    * Takes a JWK object and returns a valid key in PEM format. Throws
    * a GeneralError if there are no x5c items stored on the JWK.
    *
-   * @param   {String}       jwk The JWK to be parsed
+   * @param   {Object}       jwk The JWK to be parsed
    * @returns {String}           The key in PEM format from the first x5c entry
    * @throws  {GeneralError}     Throws a GeneralError if there are no x5c items
    */
   x5cToPEM (jwk) {
-    if (!jwk.x5c.length > 0) throw new GeneralError('JWK has no x5c property.')
+    if (!jwk || !Array.isArray(jwk.x5c) || !jwk.x5c.length) throw new GeneralError('JWK has no x5c property.')
     const lines = jwk.x5c[0].match(/.{1,64}/g).join('\n')
     return `-----BEGIN CERTIFICATE-----\n${lines}\n-----END CERTIFICATE-----\n`
   }
 
   /**
-   * Takes a JWKS endpoint URI and returns a Promise that resolves to an
-   * array of JWKs, i.e. a JWKS. The resulting function may throw any of
-   * [the errors described here]{@link https://github.com/request/promise-core/blob/master/lib/errors.js}
+   * Takes a JWK object and returns a public key (a Node `KeyObject`)
+   * that can be used to verify tokens. The key is taken from the x5c
+   * certificate chain if there is one, otherwise it is built from the
+   * key parameters themselves, i.e. `n`/`e` for RSA keys and
+   * `crv`/`x`/`y` for EC keys. Throws a GeneralError if the JWK is
+   * not meant for verifying signatures with one of the configured
+   * algorithms or if no key can be built from it.
+   *
+   * @param   {Object}       jwk The JWK to be converted
+   * @returns {KeyObject}        The public key
+   * @throws  {GeneralError}     Throws a GeneralError if the JWK cannot be used
+   */
+  jwkToKey (jwk) {
+    if (!jwk) throw new GeneralError('No JWK was provided.')
+    if (jwk.use && jwk.use !== 'sig') {
+      throw new GeneralError(`JWK "${jwk.kid}" is not a signing key.`)
+    }
+    if (jwk.alg && !this.configuration.jwtOptions.algorithms.includes(jwk.alg)) {
+      throw new GeneralError(`JWK "${jwk.kid}" uses an algorithm (${jwk.alg}) that is not allowed.`)
+    }
+    try {
+      if (Array.isArray(jwk.x5c) && jwk.x5c.length) {
+        return crypto.createPublicKey(this.x5cToPEM(jwk))
+      }
+      const { kty, n, e, crv, x, y } = jwk
+      return crypto.createPublicKey({ key: { kty, n, e, crv, x, y }, format: 'jwk' })
+    } catch (err) {
+      throw new GeneralError(`Could not create a key from JWK "${jwk.kid}".`, err)
+    }
+  }
+
+  /**
+   * Returns the algorithms that a token verified with the given key
+   * may be signed with. These are the configured algorithms that
+   * work with the type of key (RSA or EC, and the curve for EC keys),
+   * narrowed down to the JWK's own `alg` if it has one. Verifying
+   * with only these algorithms means that a token cannot get a key
+   * used with an algorithm it was never meant for.
+   *
+   * @param   {Object}    jwk The JWK the key was created from
+   * @param   {KeyObject} key The key created by `jwkToKey()`
+   * @returns {Array}         The names of the algorithms
+   */
+  getKeyAlgorithms (jwk, key) {
+    const { asymmetricKeyType, asymmetricKeyDetails = {} } = key
+    return this.configuration.jwtOptions.algorithms.filter(alg => {
+      const { types, namedCurve } = ALGORITHMS[alg] || { types: [] }
+      return types.includes(asymmetricKeyType) &&
+        (!namedCurve || namedCurve === asymmetricKeyDetails.namedCurve) &&
+        (!jwk.alg || jwk.alg === alg)
+    })
+  }
+
+  /**
+   * Takes a JWKS endpoint URI and returns a Promise that resolves to a
+   * JWKS, i.e. an object with an array of JWKs in its `keys` property.
+   * If the response has a `Cache-Control` header with a `max-age`
+   * directive, it is added to the result as `maxAge` (in milliseconds).
+   * Requests that time out, fail to connect, or get a 429 or 5xx
+   * response are retried with exponential backoff, as configured in
+   * `jwksRequest`. The resulting function may throw any of the errors
+   * that `axios` throws.
    *
    * @param   {String}   url The URI of the JWKS endpoint
    * @returns {Promise}      A Promise that resolves to JWKS retrieved
    */
-  getJWKS (url) { return axios({ url }).then(res => res.data) }
+  async getJWKS (url) {
+    const { retries, retryDelay, timeout } = this.configuration.jwksRequest
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const { data, headers } = await axios({ url, timeout })
+        const maxAge = /max-age=(\d+)/i.exec(headers['cache-control'] || '')
+        return maxAge ? { ...data, maxAge: maxAge[1] * 1000 } : data
+      } catch (err) {
+        const status = err.response && err.response.status
+        const retryable = !status || status === 429 || status >= 500
+        if (!retryable || attempt >= retries) throw err
+        await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt))
+      }
+    }
+  }
+
+  /**
+   * Reads a JWKS from a local JSON file. The first time a file is
+   * read it is also watched, so that the cached keys are dropped
+   * (and the file read again) as soon as it changes. The keys from
+   * a watched file never expire otherwise.
+   *
+   * @param   {String}  file The absolute path of the JWKS file
+   * @returns {Promise}      A Promise that resolves to the JWKS
+   */
+  async readJWKSFile (file) {
+    const jwks = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+    return this.watchJWKSFile(file) ? { ...jwks, maxAge: Infinity } : jwks
+  }
+
+  /**
+   * Watches a JWKS file for changes and clears its cache when it does
+   * change. The directory is watched rather than the file itself so
+   * that files replaced by renaming a new one over them are noticed.
+   * The watcher does not keep the process running.
+   *
+   * @param   {String}  file The absolute path of the JWKS file
+   * @returns {Boolean}      False if the file could not be watched
+   */
+  watchJWKSFile (file) {
+    if (!this.jwksWatchers.has(file)) {
+      try {
+        const watcher = fs.watch(path.dirname(file), { persistent: false }, (eventType, filename) => {
+          if (!filename || filename.toString() === path.basename(file)) this.getJWKSCache(file).clear()
+        })
+        watcher.on('error', () => {
+          watcher.close()
+          this.jwksWatchers.delete(file)
+        })
+        this.jwksWatchers.set(file, watcher)
+      } catch (err) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * Converts each of the JWKs in a JWKS into a key that can be used
+   * to verify tokens, along with the algorithms it may be used with.
+   * JWKs that cannot be converted (see `jwkToKey()`) or that do not
+   * work with any of the allowed algorithms are left out of the result.
+   *
+   * @param   {Object} jwks The JWKS
+   * @returns {Map}         A Map of kid => `{ key, algorithms }`
+   */
+  toSigningKeys (jwks) {
+    const { keys } = jwks || {}
+    if (!Array.isArray(keys)) throw new GeneralError('The JWKS has no keys property.')
+    const signingKeys = new Map()
+    for (const jwk of keys) {
+      try {
+        const key = this.jwkToKey(jwk)
+        const algorithms = this.getKeyAlgorithms(jwk, key)
+        if (algorithms.length) signingKeys.set(jwk.kid, { key, algorithms })
+      } catch (err) {
+        // skip keys that we are unable to use
+      }
+    }
+    return signingKeys
+  }
+
+  /**
+   * Retrieves the JWKS from the given endpoint (or local file, if the
+   * source is not an http(s) URL) and converts it with `toSigningKeys()`.
+   *
+   * @param   {String}  source The URI of the JWKS endpoint, or the path of a JWKS file
+   * @returns {Promise}        Resolves to `{ keys, maxAge }`, where `keys` is a Map of kid => `{ key, algorithms }`
+   */
+  async getSigningKeys (source) {
+    const jwks = /^https?:\/\//i.test(source) ? await this.getJWKS(source) : await this.readJWKSFile(source)
+    return { keys: this.toSigningKeys(jwks), maxAge: jwks.maxAge }
+  }
+
+  /**
+   * Returns the JWKSCache for the given JWKS endpoint (or JWKS file),
+   * creating it if this is the first time the endpoint has been used.
+   * Keeping one cache per endpoint means changing the Auth0 domain in
+   * the app configuration never serves keys from the old domain.
+   *
+   * @param   {String}    source The URI of the JWKS endpoint, or the path of a JWKS file
+   * @returns {JWKSCache}        The cache of signing keys for the endpoint
+   */
+  getJWKSCache (source = this.configuration.jwksUri) {
+    if (!this.jwks.has(source)) {
+      this.jwks.set(source, new JWKSCache(
+        () => this.getSigningKeys(source),
+        () => this.configuration.jwksCache
+      ))
+    }
+    return this.jwks.get(source)
+  }
+
+  /**
+   * Returns the caches that the signing keys of a trusted issuer are
+   * looked up in, in the order they are tried. An issuer with an inline
+   * `jwks` or a `jwksFile` uses only those keys by default, i.e. it works
+   * offline. With `jwksSource` set to `local-first` the JWKS endpoint
+   * is tried for keys that are not found locally, and with `remote-first`
+   * the local keys are only used when the endpoint cannot provide one.
+   *
+   * @param   {Object} issuer The trusted issuer
+   * @returns {Array}         The JWKSCaches to look keys up in
+   */
+  getJWKSCaches (issuer) {
+    const { jwks, jwksFile, jwksSource = 'local', jwksUri } = issuer
+    let local
+    if (jwksFile) {
+      local = this.getJWKSCache(path.resolve(jwksFile))
+    } else if (jwks) {
+      if (!this.inlineJWKS.has(jwks)) {
+        this.inlineJWKS.set(jwks, new JWKSCache(
+          async () => ({ keys: this.toSigningKeys(jwks), maxAge: Infinity }),
+          () => this.configuration.jwksCache
+        ))
+      }
+      local = this.inlineJWKS.get(jwks)
+    } else {
+      return [this.getJWKSCache(jwksUri)]
+    }
+    switch (jwksSource) {
+    case 'local-first': return [local, this.getJWKSCache(jwksUri)]
+    case 'remote-first': return [this.getJWKSCache(jwksUri), local]
+    default: return [local]
+    }
+  }
 
   /**
-   * Auth0Strategy uses the RS256 algorithm to verify access tokens.
-   * This requires the use of a public JavaScript Web Key (JWK) in
+   * Auth0Strategy uses asymmetric algorithms (RS256 by default) to
+   * verify access tokens. This requires the use of a public JavaScript Web Key (JWK) in
    * place of what would normally be the app's authentication secret
    * key. Since there could potentially be more than one of these
-   * and/or they can change over time they must be retrieved from
-   * the web for each login instead of stored on the server. In order
-   * for Auth0Strategy to be able to use the built-in token verifier,
-   * we have to set the `secret` prop in the config before either the
-   * `authenticate()` or `handleConnection()` methods are called.
+   * and/or they can change over time they are retrieved from the
+   * web and cached for a limited time (see `jwksCache` in the config),
+   * unless the issuer has a local JWKS (see `getJWKSCaches()`).
+   * A token signed with a key we have not seen yet causes the JWKS
+   * to be fetched again, which is how key rotation is picked up.
    *
-   * @param  {String}       accessToken The access token for which a JWK must be set
-   * @throws {GeneralError}             Throws a GeneralError if no JWK can be set
+   * @param   {String}           accessToken The access token for which a JWK must be set
+   * @param   {Object}           issuer      The trusted issuer of the token
+   * @returns {Object}                       The `{ key, algorithms }` to verify the token with
+   * @throws  {NotAuthenticated}             Throws a NotAuthenticated if no JWK can be set
    */
-  async getJWK (accessToken) {
+  async getJWK (accessToken, issuer = this.configuration.issuers[0] || {}) {
     // decode the access token (this does not throw an error)
     const token = jwt.decode(accessToken, { complete: true })
 
     // throw an error if the token was malformed or missing
     if (!token) throw new NotAuthenticated('The access token was malformed or missing')
 
-    // get the kid from the token header
-    const kid = token.header.kid
-
-    // have we already retrieved this JWK?
-    let jwk
-    if (this.jwks.has(kid)) {
-      // yes, so get it
-      return this.jwks.get(kid)
-    } else {
-      // no, so let's retrieve it
+    // get the key matching the kid in the token header, fetching the JWKS if necessary
+    let error
+    for (const cache of this.getJWKSCaches(issuer)) {
       try {
-        // get an array of JWKs from the endpoint
-        const jwks = await this.getJWKS(this.configuration.jwksUri)
-        // try to find one that matches the given kid
-        jwk = jwks.keys.find(k => k.kid === kid)
-        // parse it
-        jwk = this.x5cToPEM(jwk)
-        // store it
-        this.jwks.set(kid, jwk)
-        // then return it
-        return jwk
+        return await cache.getKey(token.header.kid)
       } catch (err) {
-        // throw an error if we still don't have a signing key
-        throw new NotAuthenticated('Could not retrieve JWKS', err)
+        error = err
       }
     }
+    // throw an error if we still don't have a signing key
+    throw new NotAuthenticated('Could not retrieve JWKS', error)
+  }
+
+  /**
+   * Returns the trusted issuer with the given `iss` value.
+   *
+   * @param   {String}           iss The `iss` claim of an access token
+   * @returns {Object}               The trusted issuer from `configuration.issuers`
+   * @throws  {NotAuthenticated}     Throws a NotAuthenticated if the issuer is not trusted
+   */
+  getIssuer (iss) {
+    const issuer = this.configuration.issuers.find(entry => entry.issuer === iss)
+    if (!issuer) throw new NotAuthenticated(`The access token was issued by an untrusted issuer: ${iss}`)
+    return issuer
+  }
+
+  /**
+   * Verifies an access token with the matching key from the JWKS of
+   * its issuer, allowing only the algorithms that go with that key.
+   * The issuer is picked using the (not yet verified) `iss` claim,
+   * and the token is then checked against that issuer and its
+   * audience. Any `options` passed in (e.g. a different `audience`)
+   * override these and the `jwtOptions` from the configuration.
+   *
+   * Finally, the token is checked against the `denylist`.
+   *
+   * @param   {String}  accessToken The access token to be verified
+   * @param   {Object}  options     Overrides for the configured `jwtOptions`
+   * @returns {Promise}             Resolves to the decoded token payload
+   */
+  async verifyToken (accessToken, options = {}) {
+    const token = jwt.decode(accessToken)
+    if (!token) throw new NotAuthenticated('The access token was malformed or missing')
+    const trusted = this.getIssuer(token.iss)
+    const { key, algorithms } = await this.getJWK(accessToken, trusted)
+    const { audience, issuer } = trusted
+    const payload = jwt.verify(accessToken, key, { ...this.configuration.jwtOptions, audience, issuer, ...options, algorithms })
+    if (await this.denylist.isRevoked(payload)) throw new NotAuthenticated('The access token has been revoked')
+    return payload
+  }
+
+  /**
+   * Revokes access tokens before they expire, i.e. a single token by
+   * its `jti` (optionally with its `exp`, so the entry can be dropped
+   * once the token has expired anyway), or every token issued to a
+   * `sub` before `issuedBefore` (in seconds, defaulting to now).
+   * Revoked tokens are rejected by `authenticate()` from then on, and
+   * real time connections authenticated with them are closed.
+   *
+   * @param   {Object}  entry `{ jti, exp }` or `{ sub, issuedBefore }`
+   * @returns {Promise}       Resolves to the denylist entry
+   */
+  revoke (entry) {
+    return this.denylist.add(entry)
+  }
+
+  /**
+   * Closes the real time connections whose access token is revoked
+   * by the given denylist entry.
+   *
+   * @param {Object} entry A denylist entry
+   */
+  disconnectRevoked (entry) {
+    for (const [connection, payload] of this.connections) {
+      if (Denylist.matches(entry, payload)) this.app.emit('disconnect', connection)
+    }
   }
 
   /**
@@ -148,8 +524,13 @@ class Auth0Strategy extends AuthenticationBaseStrategy {
    * or if the user explicitly logs out. It is almost identical to
    * the `handleConnection()` function in JWTStrategy except that it
    * uses different parameters to verify the JWT, i.e. those required
-   * for the RS256 algorithm, which is the primary purpose of
-   * this library
+   * for asymmetric algorithms like RS256, which is the primary purpose
+   * of this library. The client is also warned `expiryWarning`
+   * milliseconds before the JWT expires (see `emitTokenExpiring()`),
+   * and logging in again with a new JWT on the same connection
+   * replaces the old one and resets the timers, without disconnecting.
+   * Connections are joined to the channels for the claims of their JWT
+   * (see `getChannelNames()`) and leave them when they log out.
    *
    * @param {String} event      Event type (login/logout/disconnect)
    * @param {Object} connection A Socket.io/Primus connection
@@ -165,88 +546,421 @@ class Auth0Strategy extends AuthenticationBaseStrategy {
     const { accessToken } = authResult || {}
 
     if (accessToken && event === 'login') {
-      // make sure the JWK has been added to the strategy configuration
-      const jwk = await this.getJWK(accessToken)
       // verify the token and extract the expiration time
-      const { exp } = await jwt.verify(accessToken, jwk, this.configuration.jwtOptions)
+      const payload = await this.verifyToken(accessToken)
+      const { exp } = payload
       const duration = (exp * 1000) - new Date().getTime()
+      // a new token for a connection that is already authenticated replaces the old one
+      this.clearTimers(connection)
+      this.leaveChannels(connection)
+      // set a timer that will warn the client shortly before the token expires
+      const { expiryWarning } = this.configuration
+      if (expiryWarning > 0 && Number.isFinite(duration)) {
+        const warning = lt.setTimeout(() => this.emitTokenExpiring(connection, exp), Math.max(duration - expiryWarning, 0))
+        this.warningTimers.set(connection, warning)
+      }
       // set a timer that will disconnect the client when the token expires
       const timer = lt.setTimeout(() => this.app.emit('disconnect', connection), duration)
       this.expirationTimers.set(connection, timer)
+      this.connections.set(connection, payload)
+      this.joinChannels(connection)
       // eslint-disable-next-line require-atomic-updates
       connection.authentication = { strategy: this.name, accessToken }
     } else if (event === 'disconnect' || isValidLogout) {
       delete connection.authentication
-      lt.clearTimeout(this.expirationTimers.get(connection))
+      this.clearTimers(connection)
+      this.leaveChannels(connection)
+      this.connections.delete(connection)
     }
   }
 
+  /**
+   * Returns the names of the channels that a connection authenticated
+   * with the given token belongs in. The `channels` setting maps a
+   * channel prefix to a claim, and there is a channel for every value
+   * of that claim, e.g. `roles/admin` and `roles/editor` for a token
+   * whose roles claim is `['admin', 'editor']`.
+   *
+   * @param   {Object} payload The decoded access token
+   * @returns {Array}          The channel names
+   */
+  getChannelNames (payload) {
+    const { channels } = this.configuration
+    if (!channels) return []
+    return Object.entries(channels).reduce((names, [prefix, claim]) => {
+      const values = [].concat(payload[claim] === undefined || payload[claim] === null ? [] : payload[claim])
+      return names.concat(values.map(value => `${prefix}/${value}`))
+    }, [])
+  }
+
+  /**
+   * Joins an authenticated real time connection to the channels for
+   * the claims of its access token (see `getChannelNames()`).
+   *
+   * @param {Object} connection A Socket.io/Primus connection
+   */
+  joinChannels (connection) {
+    const payload = this.connections.get(connection)
+    if (!payload || typeof this.app.channel !== 'function') return
+    for (const name of this.getChannelNames(payload)) this.app.channel(name).join(connection)
+  }
+
+  /**
+   * Removes a real time connection from the channels it was joined
+   * to by `joinChannels()`, i.e. when it logs out or its token expires.
+   *
+   * @param {Object} connection A Socket.io/Primus connection
+   */
+  leaveChannels (connection) {
+    const payload = this.connections.get(connection)
+    if (!payload || typeof this.app.channel !== 'function') return
+    for (const name of this.getChannelNames(payload)) this.app.channel(name).leave(connection)
+  }
+
+  /**
+   * Clears the expiry warning and expiration timers of a connection.
+   *
+   * @param {Object} connection A Socket.io/Primus connection
+   */
+  clearTimers (connection) {
+    lt.clearTimeout(this.warningTimers.get(connection))
+    lt.clearTimeout(this.expirationTimers.get(connection))
+    this.warningTimers.delete(connection)
+    this.expirationTimers.delete(connection)
+  }
+
+  /**
+   * Sends a `token-expiring` event to a real time connection whose
+   * access token is about to expire, so that the client can get a
+   * new one from Auth0 and re-authenticate over the same connection
+   * (i.e. by calling `create()` on the authentication service again).
+   * The event is emitted by the authentication service, and is only
+   * sent to the connection itself (see `Auth0Service`).
+   *
+   * @param {Object} connection A Socket.io/Primus connection
+   * @param {Number} exp        The `exp` claim of the access token
+   */
+  emitTokenExpiring (connection, exp) {
+    const service = typeof this.app.defaultAuthentication === 'function' && this.app.defaultAuthentication()
+    if (!service || typeof service.emit !== 'function') return
+    const data = { exp, expiresIn: Math.max((exp * 1000) - Date.now(), 0) }
+    service.emit('token-expiring', data, { app: this.app, connection, result: data, service })
+  }
+
+  /**
+   * Returns the `create`, `entity`, `entityId` and `service` settings
+   * that apply to the users of the given trusted issuer.
+   *
+   * @param   {Object} issuer The trusted issuer of the access token
+   * @returns {Object}        The entity settings
+   */
+  getEntityOptions (issuer = {}) {
+    const keys = ['claims', 'create', 'entity', 'entityId', 'identities', 'lookup', 'service', 'syncOnLogin']
+    return {
+      ...pick(this.configuration, keys),
+      ...pick(issuer, keys)
+    }
+  }
+
+  /**
+   * Maps the claims of an access token to entity fields using the
+   * `claims` setting, an object of entity field => claim name. Claim
+   * names are used as-is, so namespaced custom claims (e.g.
+   * `https://example.com/roles`) work too. A function may be given in
+   * place of a claim name, in which case it is called with the token
+   * payload and returns the value. Claims missing from the token are
+   * left out.
+   *
+   * @param   {Object} payload The decoded access token
+   * @param   {Object} claims  The entity field => claim mapping
+   * @returns {Object}         The entity fields set by the token
+   */
+  getProfile (payload, claims = {}) {
+    return Object.entries(claims).reduce((profile, [field, claim]) => {
+      const value = typeof claim === 'function' ? claim(payload) : payload[claim]
+      return value === undefined ? profile : { ...profile, [field]: value }
+    }, {})
+  }
+
+  /**
+   * Builds an entity from the claims of an access token, for when
+   * there is no entity service (i.e. `service` is set to null). The
+   * entity has the `sub` claim in its `entityId` field, plus the
+   * fields mapped from the token's claims with the `claims` setting
+   * (see `getProfile()`).
+   *
+   * @param   {Object} payload The decoded access token
+   * @param   {Object} issuer  The trusted issuer of the access token
+   * @returns {Object}         The entity
+   */
+  getVirtualEntity (payload, issuer = {}) {
+    const { claims, entityId } = this.getEntityOptions(issuer)
+    return { ...this.getProfile(payload, claims), [entityId]: payload.sub }
+  }
+
+  /**
+   * Builds the query used to find the entity for an access token from
+   * the `lookup` setting. By default the `entityId` field must match
+   * the `user_id` (i.e. the `sub` claim), or with `identities` set, the
+   * `user_id` may also be one of the identities linked to the entity.
+   * `lookup` may instead be an object of entity field => claim name,
+   * in which case every field must match its claim (e.g.
+   * `{ "email": "email" }` for users that are keyed by email address),
+   * or an array of these, in which case any one of them may match.
+   * An email claim (`email`, or a namespaced claim ending in `/email`)
+   * is only matched if the token says that the address is verified,
+   * i.e. `email_verified` (or the namespaced claim ending in
+   * `/email_verified`) is `true`, since some Auth0 connections let
+   * anyone sign up with someone else's email address.
+   *
+   * @param   {String}           user_id The Auth0 user_id
+   * @param   {Object}           payload The decoded access token
+   * @param   {Object}           options The `entityId`, `identities` and `lookup` settings
+   * @returns {Object}                   The query for the entity service
+   * @throws  {NotAuthenticated}         If the token lacks a claim needed for the query
+   */
+  getEntityQuery (user_id, payload, { entityId, identities, lookup }) {
+    if (!lookup && identities) return { $or: [{ [entityId]: user_id }, { [identities]: user_id }] }
+    if (!lookup) return { [entityId]: user_id }
+    let unverified = false
+    const isVerified = claim => {
+      if (!/(^|\/)email$/.test(claim)) return true
+      const verified = payload[`${claim}_verified`] === true || payload.email_verified === true
+      if (!verified) unverified = true
+      return verified
+    }
+    const toQuery = fields => Object.entries(fields).reduce((query, [field, claim]) => {
+      if (query === null || payload[claim] === undefined || !isVerified(claim)) return null
+      return { ...query, [field]: payload[claim] }
+    }, {})
+    const queries = [].concat(lookup).map(toQuery).filter(Boolean)
+    if (!queries.length) {
+      if (unverified) throw new NotAuthenticated('The email address in the access token has not been verified')
+      throw new NotAuthenticated('The access token does not have the claims needed to find the entity')
+    }
+    return Array.isArray(lookup) ? { $or: queries } : queries[0]
+  }
+
   /**
    * Return the entity for a given `user_id`. Overrides the
    * `JWTStrategy.getEntity()` method. We're overriding because
    * the `entityId` is frequently NOT the same as the `id`
    * field, hence we have to use `find()` instead of `get()`
-   * to retrieve the entity (usually a user). We also support
-   * creating a new entity (user) in the database if the
-   * authentication is successful.
+   * to retrieve the entity (usually a user). The query can be
+   * changed with the `lookup` setting (see `getEntityQuery()`), which
+   * may also be an async function that takes the decoded token and
+   * the params and returns the entity itself (or null if there is none).
+   * We also support creating a new entity (user) in the database if
+   * the authentication is successful, filled in with the fields mapped
+   * from the token's claims (see `getProfile()`). With `syncOnLogin`
+   * turned on, an existing entity is patched whenever those fields
+   * have changed. A trusted issuer may set its own `claims`, `create`,
+   * `entity`, `entityId`, `identities`, `lookup`, `service` and
+   * `syncOnLogin` settings.
    *
    * @param   {String} user_id The Auth0 user_id to use
    * @param   {Object} params  Service call parameters
+   * @param   {Object} issuer  The trusted issuer of the access token
+   * @param   {Object} payload The decoded access token
    * @returns {Entity}         An object of the `entity` class
    */
-  async getEntity (user_id, params) {
+  async getEntity (user_id, params, issuer = {}, payload = { sub: user_id }) {
     // get the createIfNotExists setting, "users" entity, and entity ID field from config
-    const { create, entity, entityId } = this.configuration
-    const entityService = this.entityService
+    const options = this.getEntityOptions(issuer)
+    const { claims, create, entity, entityId, lookup, service, syncOnLogin } = options
+    const profile = this.getProfile(payload, claims)
+    const entityService = issuer.service ? this.app.service(service) || null : this.entityService
 
     // make sure we have a reference to the entity service
     if (entityService === null) {
       throw new NotAuthenticated(`Could not find the "${entity}" service`)
     }
 
-    // make sure we have at least the basic params set
-    params = {
-      ...omit(params, 'provider'),
-      paginate: false,
-      query: {
-        $limit: 1,
-        [entityId]: user_id
-      }
-    }
+    // the params for the entity service, without the provider so that we can get past any hooks
+    params = omit(params, 'provider')
 
-    // search for a user with the given user_id
-    let result = await entityService.find(params)
+    // search for the entity of this access token
+    const find = async () => {
+      if (typeof lookup === 'function') return lookup(payload, params)
+      const query = { $limit: 1, ...this.getEntityQuery(user_id, payload, options) }
+      const found = await entityService.find({ ...params, paginate: false, query })
+      return found[0]
+    }
 
-    // if there is no result...
-    if (!result[0]) {
-      // should we create a new entity?
-      if (create) {
-        // get rid of unnecessary params
-        delete params.paginate
-        delete params.query
-        // try to create the entity
+    // use the cached entity, or find (and maybe create) it, sharing the work
+    // with any other requests for the same user_id that are already doing so
+    const cache = this.getEntityCache(entityService)
+    let result = cache ? cache.get(user_id) : undefined
+    let created = false
+    if (!result) {
+      result = await this.resolveEntityOnce(entityService, user_id, async () => {
+        const found = await find()
+        // should we create a new entity?
+        if (found || !create) return found
         try {
-          result = await entityService.create({ [entityId]: user_id }, params)
+          const newEntity = await entityService.create({ ...profile, [entityId]: user_id }, params)
+          created = true
+          return newEntity
         } catch (error) {
+          // someone else (e.g. another instance of the API) may have just created
+          // it, in which case the create fails with a duplicate key error
+          const existing = await find()
+          if (existing) return existing
           throw new NotAuthenticated(`Could not create an ${entity} with this user_id in the database`)
         }
-      } else {
-        throw new NotAuthenticated(`Could not find ${entity} with this user_id in the database`)
+      })
+    }
+
+    // if there is no result...
+    if (!result) {
+      throw new NotAuthenticated(`Could not find ${entity} with this user_id in the database`)
+    }
+
+    // bring the entity up to date with the token, if necessary
+    const changes = syncOnLogin && !created ? pick(profile, Object.keys(profile).filter(field => !isEqual(result[field], profile[field]))) : {}
+    if (Object.keys(changes).length) {
+      try {
+        result = await entityService.patch(result[entityService.id], changes, params)
+      } catch (error) {
+        throw new NotAuthenticated(`Could not update the ${entity} with this user_id in the database`)
       }
-    } else {
-      // set the result to the retrieved user
-      result = result[0]
     }
-    // finally return the entity
+    // finally cache and return the entity
+    if (cache) cache.set(user_id, result)
     return result
   }
 
   /**
-   * Verifies an Auth0 access token using the RS256 algorithm, i.e.
+   * Calls `resolve` to find (or create) the entity for a `user_id`,
+   * unless that is already in progress for the same `user_id` and
+   * entity service, in which case its result is shared. This stops
+   * concurrent first requests from a new user from each creating
+   * an entity for them.
+   *
+   * @param   {Object}   entityService The entity service
+   * @param   {String}   user_id       The Auth0 user_id
+   * @param   {Function} resolve       Resolves to the entity
+   * @returns {Promise}                Resolves to the entity
+   */
+  resolveEntityOnce (entityService, user_id, resolve) {
+    if (!this.pendingEntities.has(entityService)) this.pendingEntities.set(entityService, new Map())
+    const pending = this.pendingEntities.get(entityService)
+    if (!pending.has(user_id)) {
+      pending.set(user_id, resolve().finally(() => pending.delete(user_id)))
+    }
+    return pending.get(user_id)
+  }
+
+  /**
+   * Returns the identities (Auth0 user_ids) linked to an entity, along
+   * with the settings needed to change them.
+   *
+   * @param   {Object}       entity The entity
+   * @returns {Object}              The `entity`, `entityId`, `identities` and `linked` identities
+   * @throws  {GeneralError}        If the `identities` setting is not set
+   */
+  getLinkedIdentities (entity) {
+    const { entity: name, entityId, identities } = this.getEntityOptions()
+    if (!identities) {
+      throw new GeneralError('You must set `authentication.auth0.identities` in your app configuration to link identities.')
+    }
+    const linked = Array.isArray(entity[identities]) ? entity[identities] : []
+    return { entity: name, entityId, identities, linked }
+  }
+
+  /**
+   * Links another Auth0 identity (e.g. the `google-oauth2|...` user_id
+   * of someone who first signed up with `auth0|...`) to an entity, so
+   * that access tokens for either identity resolve to the same entity.
+   * Make sure the identity really belongs to the same person first,
+   * e.g. by verifying an access token for it (see `Auth0IdentitiesService`).
+   *
+   * @param   {Object}   entity The entity (e.g. `params.user`)
+   * @param   {String}   sub    The Auth0 user_id of the identity to link
+   * @returns {Promise}         Resolves to the updated entity
+   * @throws  {Conflict}        If the identity already belongs to another entity
+   */
+  async linkIdentity (entity, sub) {
+    const { entity: name, entityId, identities, linked } = this.getLinkedIdentities(entity)
+    if (entity[entityId] === sub || linked.includes(sub)) return entity
+    const { entityService } = this
+    const query = { $limit: 1, ...this.getEntityQuery(sub, { sub }, { entityId, identities }) }
+    const [owner] = await entityService.find({ paginate: false, query })
+    if (owner && String(owner[entityService.id]) !== String(entity[entityService.id])) {
+      throw new Conflict(`This identity is already linked to another ${name}`)
+    }
+    return entityService.patch(entity[entityService.id], { [identities]: [...linked, sub] })
+  }
+
+  /**
+   * Unlinks an Auth0 identity from an entity. The identity in the
+   * `entityId` field cannot be unlinked.
+   *
+   * @param   {Object}     entity The entity (e.g. `params.user`)
+   * @param   {String}     sub    The Auth0 user_id of the identity to unlink
+   * @returns {Promise}           Resolves to the updated entity
+   * @throws  {BadRequest}        If the identity is the one in the `entityId` field
+   * @throws  {NotFound}          If the identity is not linked to the entity
+   */
+  async unlinkIdentity (entity, sub) {
+    const { entity: name, entityId, identities, linked } = this.getLinkedIdentities(entity)
+    if (entity[entityId] === sub) throw new BadRequest(`The ${entityId} of an ${name} cannot be unlinked`)
+    if (!linked.includes(sub)) throw new NotFound(`This identity is not linked to the ${name}`)
+    const { entityService } = this
+    return entityService.patch(entity[entityService.id], { [identities]: linked.filter(identity => identity !== sub) })
+  }
+
+  /**
+   * Returns the cache of entities resolved from the given entity
+   * service, creating it (and subscribing it to the service's events)
+   * if this is the first time the service has been used. Returns null
+   * if `entityCache` is turned off.
+   *
+   * @param   {Object}      entityService The entity service
+   * @returns {EntityCache}               The cache of entities, or null
+   */
+  getEntityCache (entityService) {
+    if (!this.configuration.entityCache) return null
+    if (!this.entityCaches.has(entityService)) {
+      this.entityCaches.set(entityService, new EntityCache(entityService, () => this.configuration.entityCache))
+    }
+    return this.entityCaches.get(entityService)
+  }
+
+  /**
+   * Whether an access token was issued to a machine (i.e. an Auth0
+   * application using the client credentials grant) rather than to
+   * a person.
+   *
+   * @param   {Object}  payload The decoded access token
+   * @returns {Boolean}         True for machine-to-machine tokens
+   */
+  isClientToken (payload = {}) {
+    return isClientPayload(payload)
+  }
+
+  /**
+   * Returns the Auth0 client ID of a machine-to-machine access token.
+   *
+   * @param   {Object} payload The decoded access token
+   * @returns {String}         The client ID
+   */
+  getClientId (payload) {
+    return payload.azp || (payload.sub || '').replace(/@clients$/, '')
+  }
+
+  /**
+   * Verifies an Auth0 access token using an asymmetric algorithm, i.e.
    * it retrieves the public signing key associated with a token from Auth0
    * and uses it (instead of a clientSecret, used with HS256 algorithm) to
    * make sure the access token is valid. Overrides `JWTStrategy.authenticate()`.
-   * This function is the core of this strategy.
+   * If `params.audience` has been set (e.g. by the `setAudience()` hook),
+   * the token's `aud` claim is checked against it instead of the configured
+   * audience. With `clients` set, machine-to-machine tokens are resolved
+   * to an entity of the `clients` service instead of a user, or accepted
+   * without an entity if `clients.service` is null. If `service` is set
+   * to null, the user is built from the claims of the token (see
+   * `getVirtualEntity()`). This function is the core of this strategy.
    *
    * @param   {Object} authentication Contains the accessToken to be verified
    * @param   {Object} params         Contains params for finding the user
@@ -256,57 +970,105 @@ class Auth0Strategy extends AuthenticationBaseStrategy {
     // get the accessToken passed in with the authentication request
     const { accessToken } = authentication
 
-    // get the "users" entity and domain for verifying JWTs
-    const { entity } = this.configuration
-
     // verify the access token
     let token
     try {
-      // make sure we've set a secret
-      const jwk = await this.getJWK(accessToken)
-      // console.log(jwk)
-      token = await jwt.verify(accessToken, jwk, this.configuration.jwtOptions)
+      token = await this.verifyToken(accessToken, params && params.audience ? { audience: params.audience } : {})
     } catch (err) {
       throw new NotAuthenticated('Token could not be verified', err)
     }
 
-    // get the user ID from the token payload
-    const user_id = token.sub
+    // a connection that is already authenticated may only be re-authenticated as the same user
+    const current = params && params.connection && this.connections.get(params.connection)
+    if (current && current.sub !== token.sub) {
+      throw new NotAuthenticated('The connection is already authenticated as someone else')
+    }
+
+    // get the "users" entity for the issuer of the token, or for
+    // machine-to-machine tokens, the "clients" entity (if configured)
+    const issuer = this.getIssuer(token.iss)
+    const { clients } = this.configuration
+    const isClient = !!clients && this.isClientToken(token)
+    const options = isClient ? { ...issuer, ...clients } : issuer
+    const { entity, service } = this.getEntityOptions(options)
+
+    // Returns the same structure as JWTStrategy
+    const result = {
+      accessToken,
+      authentication: {
+        strategy: this.name,
+        payload: token
+      }
+    }
+
+    // clients may be accepted without an entity, and without an entity
+    // service, users are built from the claims of the token instead
+    if (!service) return isClient ? result : { ...result, [entity]: this.getVirtualEntity(token, options) }
+
+    // get the user (or client) ID from the token payload
+    const user_id = isClient ? this.getClientId(token) : token.sub
 
     // check to see if we have a user with this ID in the database
     // this throws an error if the user is not found
     let user
     try {
-      user = await this.getEntity(user_id, params)
+      user = await this.getEntity(user_id, params, options, token)
     } catch (err) {
       throw new NotAuthenticated(err.message, err)
     }
 
     // If we made it this far, we're all good!
-    // Returns the same structure as JWTStrategy
-    return {
-      accessToken,
-      authentication: {
-        strategy: this.name,
-        payload: token
-      },
-      [entity]: user
-    }
+    return { ...result, [entity]: user }
   }
 
   /**
-   * Extracts the accessToken from a HTTP request object's Authorization header.
+   * Extracts the accessToken from a HTTP request. The token is taken
+   * from the configured `header` (`Authorization` by default), either
+   * on its own or following one of the configured `schemes`. A header
+   * that uses any other scheme (e.g. `Basic`) is left for other
+   * strategies to deal with. If there is no header, the token may
+   * also be taken from the cookie named by the `cookie` setting and
+   * then from the query parameter named by the `queryParam` setting,
+   * if either of them has been set.
    *
    * @param   {Object} req            Express request object
    * @returns {Object}                Contains the token and strategy name
    */
   parse (req) {
-    if (req.headers.authorization) {
-      return {
-        strategy: this.name,
-        accessToken: req.headers.authorization.split(' ').pop()
+    const { cookie, header, queryParam, schemes } = this.configuration
+    const headerValue = req.headers && req.headers[header.toLowerCase()]
+
+    if (headerValue && typeof headerValue === 'string') {
+      const value = headerValue.trim()
+      // a scheme without a token is not a token
+      if (schemes.some(name => name.toLowerCase() === value.toLowerCase())) return null
+      const [, scheme, schemeValue] = value.match(/^(\S+)\s+(.+)$/) || []
+      if (!scheme) return { strategy: this.name, accessToken: value }
+      if (!schemes.some(name => name.toLowerCase() === scheme.toLowerCase())) return null
+      return { strategy: this.name, accessToken: schemeValue.trim() }
+    }
+
+    if (cookie && req.headers && req.headers.cookie) {
+      const pair = req.headers.cookie.split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${cookie}=`))
+      if (pair) {
+        // a malformed cookie (e.g. set by another app on the domain) is ignored
+        try {
+          return { strategy: this.name, accessToken: decodeURIComponent(pair.slice(cookie.length + 1)) }
+        } catch (err) {
+          return null
+        }
       }
     }
+
+    if (queryParam && req.query && typeof req.query[queryParam] === 'string') {
+      const accessToken = req.query[queryParam]
+      // keep the token out of the query that is passed on to the service
+      delete req.query[queryParam]
+      return { strategy: this.name, accessToken }
+    }
+
     return null
   }
 }
@@ -1,14 +1,40 @@
 const assert = require('assert')
+const crypto = require('crypto')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
 const feathers = require('@feathersjs/feathers')
 const Auth0Strategy = require('../lib/strategy')
+const Auth0IdentitiesService = require('../lib/identities-service')
+const Auth0LogStreamService = require('../lib/log-stream-service')
+const Auth0ManagementService = require('../lib/management-service')
 const Auth0Service = require('../lib/service')
+const Denylist = require('../lib/denylist')
+const EntityCache = require('../lib/entity-cache')
+const JWKSCache = require('../lib/jwks-cache')
 const { authenticate, hooks } = require('@feathersjs/authentication')
-const { fromAuth0, usIPAddresses, euIPAddresses, auIPAddresses } = require('../lib/hooks/from-auth0')
+const { channels } = require('@feathersjs/transport-commons')
+const { isProvider, some, unless } = require('feathers-hooks-common')
+const jwt = require('jsonwebtoken')
+const lt = require('long-timeout')
+const { omit } = require('lodash')
+const nedb = require('nedb')
+const createNeDBService = require('feathers-nedb')
+const optionalAuth0 = require('../lib/hooks/optional-auth0')
+const { isClient, isUser } = require('../lib/hooks/principal')
+const setAudience = require('../lib/hooks/set-audience')
+const { signedByAuth0, signRequest } = require('../lib/hooks/signed-by-auth0')
+const { requireScopes, requirePermissions } = require('../lib/hooks/require-claims')
+const { compileWhitelist, fromAuth0, loadIPAddresses, normalizeIP, regions, useIPAddressesFile, usIPAddresses, euIPAddresses, auIPAddresses } = require('../lib/hooks/from-auth0')
+const { bundledFile, refreshIPAddresses } = require('../lib/ip-addresses')
 const { connection, event } = hooks
 const {
   app,
   fakeJWKS,
   signingCertificate,
+  signingPublicKey,
+  signingPrivateKey,
   jwts,
   contexts
 } = require('./test-vars')
@@ -28,27 +54,92 @@ class MockAuth0Strategy extends Auth0Strategy {
 
 const clone = obj => JSON.parse(JSON.stringify(obj))
 
+/**
+ * Starts a local HTTP server with the given request handler and
+ * resolves to the server along with its base URL
+ */
+const listen = handler => new Promise(resolve => {
+  const server = http.createServer(handler)
+  server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }))
+})
+
+/**
+ * Replaces the key set in a JWKSCache with a single key that is good
+ * for another minute, so that no JWKS needs to be fetched
+ */
+const storeKey = (cache, kid, key) => {
+  cache.clear()
+  cache.keys = new Map([[kid, key]])
+  cache.fetchedAt = Date.now()
+  cache.expiresAt = cache.fetchedAt + 60 * 1000
+}
+
+/**
+ * Writes IP address lists to a source file in the given directory and
+ * returns its path
+ */
+const writeSource = (dir, regions) => {
+  const file = path.join(dir, 'source.json')
+  fs.writeFileSync(file, JSON.stringify({ regions }))
+  return file
+}
+
 /**
  * This is what the configuration should be set to if only the
  * domain is set in the default.json config file
  */
 const defaultConfig = {
+  channels: false,
+  claims: {},
+  clients: false,
+  cookie: false,
   create: false,
+  denylist: {},
   entity: 'user',
+  entityCache: false,
   entityId: 'user_id',
+  expiryWarning: 60000,
   header: 'Authorization',
+  identities: false,
+  issuers: [
+    {
+      audience: [
+        'https://example.auth0.com/api/v2/',
+        'https://example.auth0.com/userinfo'
+      ],
+      domain: 'example.auth0.com',
+      issuer: 'https://example.auth0.com/',
+      jwksUri: 'https://example.auth0.com/.well-known/jwks.json'
+    }
+  ],
+  jwksCache: {
+    cacheControl: true,
+    failureThreshold: 5,
+    refetchInterval: 30000,
+    resetTimeout: 30000,
+    staleWhileRevalidate: false,
+    ttl: 600000
+  },
+  jwksRequest: {
+    retries: 2,
+    retryDelay: 250,
+    timeout: 5000
+  },
   jwksUri: 'https://example.auth0.com/.well-known/jwks.json',
   jwtOptions: {
     algorithms: ['RS256'],
-    audiences: [
-      'https://example.auth0.com/api/v2',
+    audience: [
+      'https://example.auth0.com/api/v2/',
       'https://example.auth0.com/userinfo'
     ],
     ignoreExpiration: false,
     issuer: 'https://example.auth0.com/'
   },
+  lookup: null,
+  queryParam: false,
   schemes: ['Bearer', 'JWT'],
   service: 'users',
+  syncOnLogin: false,
   whitelist: []
 }
 
@@ -85,6 +176,22 @@ describe('The Auth0Strategy', () => {
     strategy.app.set('authentication', { auth0: { domain: 'example.auth0.com' } })
   })
 
+  it('only allows asymmetric algorithms to be configured', () => {
+    try {
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, algorithms: ['RS256', 'HS256'] } })
+      strategy.verifyConfiguration()
+      assert.fail('Should never get here')
+    } catch (err) {
+      assert.strictEqual(err.name, 'GeneralError', 'should throw a GeneralError')
+      assert.strictEqual(
+        err.message,
+        '`authentication.auth0.algorithms` may only contain RS256, RS384, RS512, PS256, PS384, PS512, ES256, ES384, ES512.',
+        'Did not have the correct error message'
+      )
+    }
+    strategy.app.set('authentication', { auth0: { domain: 'example.auth0.com' } })
+  })
+
   describe('getEntity() method', () => {
     it('is a function', () => {
       assert(typeof strategy.getEntity === 'function', 'getEntity() is not a function')
@@ -136,6 +243,258 @@ describe('The Auth0Strategy', () => {
       })
       assert.strictEqual(user.user_id, 'auth0|iDoNotExist', 'The user was not created')
     })
+
+    it('creates only one entity for concurrent first requests', async () => {
+      app.set('authentication', { auth0: { create: true, domain: 'example.auth0.com' } })
+      const users = await Promise.all([1, 2, 3].map(() => strategy.getEntity('auth0|eager', {})))
+      app.set('authentication', config)
+      const found = await app.service('users').find({ paginate: false, query: { user_id: 'auth0|eager' } })
+      assert.strictEqual(found.length, 1, 'More than one user was created')
+      assert(users.every(user => String(user._id) === String(found[0]._id)), 'The requests got different users')
+      await app.service('users').remove(found[0]._id)
+    })
+
+    it('uses the entity created by someone else if creating it fails', async () => {
+      const users = app.service('users')
+      const { create } = users
+      // another instance of the API creates the user first, so ours fails with a duplicate key
+      users.create = async data => {
+        await new Promise((resolve, reject) => users.getModel().insert(data, err => err ? reject(err) : resolve()))
+        throw new Error('duplicate key')
+      }
+      app.set('authentication', { auth0: { create: true, domain: 'example.auth0.com' } })
+      try {
+        const user = await strategy.getEntity('auth0|raced', {})
+        assert.strictEqual(user.user_id, 'auth0|raced', 'The existing user was not used')
+        users.create = async () => { throw new Error('database is down') }
+        await assert.rejects(strategy.getEntity('auth0|failed', {}), { message: 'Could not create an user with this user_id in the database' })
+      } finally {
+        users.create = create
+        app.set('authentication', config)
+      }
+    })
+
+    it('fills in a new entity from the claims of the token', async () => {
+      const claims = { email: 'email', name: 'name', roles: 'https://example.com/roles', initial: ({ name }) => name[0] }
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, claims, create: true } })
+      const payload = { sub: 'auth0|mapped', email: 'jane@example.com', name: 'Jane', 'https://example.com/roles': ['admin'] }
+      const user = await strategy.getEntity('auth0|mapped', {}, {}, payload)
+      strategy.app.set('authentication', config)
+      assert.deepEqual(omit(user, '_id'), {
+        email: 'jane@example.com',
+        initial: 'J',
+        name: 'Jane',
+        roles: ['admin'],
+        user_id: 'auth0|mapped'
+      }, 'The user was not filled in from the claims')
+    })
+
+    it('only updates an existing entity on login if `syncOnLogin === true`', async () => {
+      const { _id } = await app.service('users').create({ user_id: 'auth0|synced', email: 'old@example.com', name: 'Jane' })
+      const payload = { sub: 'auth0|synced', email: 'new@example.com', name: 'Jane' }
+      const claims = { email: 'email', name: 'name', picture: 'picture' }
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, claims } })
+      let user = await strategy.getEntity('auth0|synced', {}, {}, payload)
+      assert.strictEqual(user.email, 'old@example.com', 'The user was updated')
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, claims, syncOnLogin: true } })
+      let patched = 0
+      const onPatched = () => patched++
+      app.service('users').on('patched', onPatched)
+      user = await strategy.getEntity('auth0|synced', {}, {}, payload)
+      await strategy.getEntity('auth0|synced', {}, {}, payload)
+      app.service('users').removeListener('patched', onPatched)
+      strategy.app.set('authentication', config)
+      assert.strictEqual(user.email, 'new@example.com', 'The user was not updated')
+      assert.strictEqual(user.picture, undefined, 'A missing claim was synced')
+      assert.strictEqual(patched, 1, 'The user should only be patched when the claims have changed')
+      await app.service('users').remove(_id)
+    })
+
+    it('finds the entity using the `lookup` claims', async () => {
+      const { _id } = await app.service('users').create({ email: 'legacy@example.com' })
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, lookup: { email: 'https://example.com/email' } } })
+      const user = await strategy.getEntity('auth0|legacy', {}, {}, {
+        sub: 'auth0|legacy',
+        'https://example.com/email': 'legacy@example.com',
+        'https://example.com/email_verified': true
+      })
+      assert.strictEqual(String(user._id), String(_id), 'The user was not found by email')
+      try {
+        await strategy.getEntity('auth0|legacy', {}, {}, { sub: 'auth0|legacy' })
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.message, 'The access token does not have the claims needed to find the entity', 'wrong message')
+      }
+      strategy.app.set('authentication', config)
+      await app.service('users').remove(_id)
+    })
+
+    it('does not match an unverified email address with the `lookup` claims', async () => {
+      const { _id } = await app.service('users').create({ email: 'victim@example.com' })
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, lookup: { email: 'email' } } })
+      try {
+        for (const email_verified of [undefined, false, 'true']) {
+          await assert.rejects(
+            strategy.getEntity('auth0|attacker', {}, {}, { sub: 'auth0|attacker', email: 'victim@example.com', email_verified }),
+            { name: 'NotAuthenticated', message: 'The email address in the access token has not been verified' }
+          )
+        }
+        strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, lookup: [{ email: 'email' }, { user_id: 'sub' }] } })
+        await assert.rejects(
+          strategy.getEntity('auth0|attacker', {}, {}, { sub: 'auth0|attacker', email: 'victim@example.com' }),
+          { message: 'Could not find user with this user_id in the database' }
+        )
+        const user = await strategy.getEntity('auth0|owner', {}, {}, { sub: 'auth0|owner', email: 'victim@example.com', email_verified: true })
+        assert.strictEqual(String(user._id), String(_id), 'The user was not found by a verified email')
+      } finally {
+        strategy.app.set('authentication', config)
+        await app.service('users').remove(_id)
+      }
+    })
+
+    it('finds the entity using any of several `lookup` queries', async () => {
+      const { _id } = await app.service('users').create({ api_id: 'api-42' })
+      const lookup = [{ user_id: 'sub' }, { api_id: 'https://example.com/api_id' }]
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, lookup } })
+      const user = await strategy.getEntity('auth0|apiUser', {}, {}, { sub: 'auth0|apiUser', 'https://example.com/api_id': 'api-42' })
+      strategy.app.set('authentication', config)
+      assert.strictEqual(String(user._id), String(_id), 'The user was not found by api_id')
+      await app.service('users').remove(_id)
+    })
+
+    it('resolves the entity with a custom `lookup` function', async () => {
+      const calls = []
+      const lookup = async (payload, params) => {
+        calls.push({ payload, params })
+        return payload.sub === 'auth0|custom' ? { id: 1, name: 'Custom' } : null
+      }
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, lookup } })
+      const user = await strategy.getEntity('auth0|custom', { provider: 'rest', query: { a: 1 } }, {}, { sub: 'auth0|custom' })
+      assert.deepEqual(user, { id: 1, name: 'Custom' }, 'The custom lookup was not used')
+      assert.deepEqual(calls[0], { payload: { sub: 'auth0|custom' }, params: { query: { a: 1 } } }, 'The lookup got the wrong arguments')
+      await assert.rejects(strategy.getEntity('auth0|nobody', {}, {}, { sub: 'auth0|nobody' }), { message: 'Could not find user with this user_id in the database' })
+      strategy.app.set('authentication', config)
+    })
+  })
+
+  describe('with an entity cache', () => {
+    const users = app.service('users')
+    // removes a user from the database without the service knowing about it
+    const removeBehindTheScenes = _id => new Promise((resolve, reject) => users.getModel().remove({ _id }, err => err ? reject(err) : resolve()))
+
+    beforeEach(() => {
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, entityCache: true } })
+    })
+
+    afterEach(() => {
+      strategy.getEntityCache(strategy.entityService).clear()
+      strategy.app.set('authentication', config)
+    })
+
+    it('is configured with default settings', () => {
+      assert.deepEqual(strategy.configuration.entityCache, { max: 1000, ttl: 60000 }, 'wrong settings')
+    })
+
+    it('does not query the entity service for a cached entity', async () => {
+      const { _id } = await users.create({ user_id: 'auth0|cached', name: 'Cached' })
+      await strategy.getEntity('auth0|cached', {})
+      await removeBehindTheScenes(_id)
+      const user = await strategy.getEntity('auth0|cached', {})
+      assert.strictEqual(user.name, 'Cached', 'The entity was not cached')
+      user.name = 'Changed'
+      assert.strictEqual((await strategy.getEntity('auth0|cached', {})).name, 'Cached', 'The cached entity was changed')
+    })
+
+    it('drops entities when they are patched, updated or removed', async () => {
+      const { _id } = await users.create({ user_id: 'auth0|changing', permissions: ['read'] })
+      await strategy.getEntity('auth0|changing', {})
+      await users.patch(_id, { permissions: [] })
+      assert.deepEqual((await strategy.getEntity('auth0|changing', {})).permissions, [], 'The patched entity was not used')
+      await users.update(_id, { user_id: 'auth0|changing', permissions: ['write'] })
+      assert.deepEqual((await strategy.getEntity('auth0|changing', {})).permissions, ['write'], 'The updated entity was not used')
+      await users.remove(_id)
+      await assert.rejects(strategy.getEntity('auth0|changing', {}), { message: 'Could not find user with this user_id in the database' })
+    })
+  })
+
+  describe('with linked identities', () => {
+    const users = app.service('users')
+    const sign = sub => jwt.sign(
+      { sub, aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' },
+      signingPrivateKey,
+      { algorithm: 'RS256', keyid: 'goodKid', expiresIn: 60 }
+    )
+    let user
+
+    before(() => {
+      app.use('/identities', new Auth0IdentitiesService())
+      app.service('identities').setup(app, 'identities')
+    })
+
+    beforeEach(async () => {
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, identities: true } })
+      user = await users.create({ user_id: 'auth0|linker', identities: ['samlp|linker'] })
+    })
+
+    afterEach(async () => {
+      strategy.app.set('authentication', config)
+      await users.remove(null, { query: { user_id: { $in: ['auth0|linker', 'auth0|other'] } } })
+    })
+
+    it('finds the entity by any of its linked identities', async () => {
+      const found = await strategy.getEntity('samlp|linker', {})
+      assert.strictEqual(String(found._id), String(user._id), 'The linked identity was not found')
+      strategy.app.set('authentication', config)
+      await assert.rejects(strategy.getEntity('samlp|linker', {}), { message: 'Could not find user with this user_id in the database' })
+    })
+
+    it('links and unlinks identities', async () => {
+      user = await strategy.linkIdentity(user, 'google-oauth2|linker')
+      assert.deepEqual(user.identities, ['samlp|linker', 'google-oauth2|linker'], 'The identity was not linked')
+      assert.strictEqual(String((await strategy.getEntity('google-oauth2|linker', {}))._id), String(user._id), 'The linked identity was not found')
+      user = await strategy.unlinkIdentity(user, 'samlp|linker')
+      assert.deepEqual(user.identities, ['google-oauth2|linker'], 'The identity was not unlinked')
+    })
+
+    it('does not link an identity that belongs to another entity', async () => {
+      await users.create({ user_id: 'auth0|other' })
+      try {
+        await strategy.linkIdentity(user, 'auth0|other')
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'Conflict', 'should throw a Conflict')
+        assert.strictEqual(err.message, 'This identity is already linked to another user', 'wrong message')
+      }
+    })
+
+    it('does not unlink the primary identity or identities that are not linked', async () => {
+      await assert.rejects(strategy.unlinkIdentity(user, 'auth0|linker'), { name: 'BadRequest', message: 'The user_id of an user cannot be unlinked' })
+      await assert.rejects(strategy.unlinkIdentity(user, 'github|linker'), { name: 'NotFound', message: 'This identity is not linked to the user' })
+    })
+
+    it('requires the identities setting', async () => {
+      strategy.app.set('authentication', config)
+      await assert.rejects(strategy.linkIdentity(user, 'github|linker'), {
+        name: 'GeneralError',
+        message: 'You must set `authentication.auth0.identities` in your app configuration to link identities.'
+      })
+    })
+
+    it('lets the authenticated user manage their identities with the Auth0IdentitiesService', async () => {
+      const identities = app.service('identities')
+      await identities.create({ accessToken: sign('google-oauth2|linker') }, { user })
+      user = await users.get(user._id)
+      assert.deepEqual(await identities.find({ user }), [
+        { sub: 'auth0|linker', primary: true },
+        { sub: 'samlp|linker', primary: false },
+        { sub: 'google-oauth2|linker', primary: false }
+      ], 'The identities were not listed')
+      await identities.remove('samlp|linker', { user })
+      assert.deepEqual((await users.get(user._id)).identities, ['google-oauth2|linker'], 'The identity was not unlinked')
+      await assert.rejects(identities.find({}), { name: 'NotAuthenticated' })
+      await assert.rejects(identities.create({ accessToken: 'not-a-token' }, { user }), { name: 'NotAuthenticated', message: 'Token could not be verified' })
+    })
   })
 
   describe('getJWKS() method', () => {
@@ -154,6 +513,71 @@ describe('The Auth0Strategy', () => {
       const jwks = await strategy.getJWKS(strategy.configuration.jwksUri)
       assert.deepEqual(jwks, fakeJWKS, 'getJWKS() client did not return the expected JWKS')
     })
+
+    it('adds the Cache-Control max-age to the JWKS as `maxAge`', async () => {
+      const { server, url } = await listen((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=15' })
+        res.end(JSON.stringify(fakeJWKS))
+      })
+      try {
+        const jwks = await Auth0Strategy.prototype.getJWKS.call(strategy, `${url}/.well-known/jwks.json`)
+        assert.deepEqual(jwks, { ...fakeJWKS, maxAge: 15000 }, 'getJWKS() did not parse the max-age')
+      } finally {
+        server.close()
+      }
+    })
+
+    it('retries requests that fail with a server error', async () => {
+      let requests = 0
+      const { server, url } = await listen((req, res) => {
+        requests++
+        res.writeHead(requests === 1 ? 503 : 200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(fakeJWKS))
+      })
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, jwksRequest: { retryDelay: 1 } } })
+      try {
+        const jwks = await Auth0Strategy.prototype.getJWKS.call(strategy, `${url}/.well-known/jwks.json`)
+        assert.deepEqual(jwks, fakeJWKS, 'getJWKS() did not return the JWKS')
+        assert.strictEqual(requests, 2, 'the request was not retried')
+      } finally {
+        server.close()
+        strategy.app.set('authentication', config)
+      }
+    })
+
+    it('does not retry requests that fail with a client error', async () => {
+      let requests = 0
+      const { server, url } = await listen((req, res) => {
+        requests++
+        res.writeHead(404)
+        res.end()
+      })
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, jwksRequest: { retryDelay: 1 } } })
+      try {
+        await Auth0Strategy.prototype.getJWKS.call(strategy, `${url}/.well-known/jwks.json`)
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.response.status, 404, 'did not reject with the 404 response')
+        assert.strictEqual(requests, 1, 'the request was retried')
+      } finally {
+        server.close()
+        strategy.app.set('authentication', config)
+      }
+    })
+
+    it('gives up on requests that time out', async () => {
+      const { server, url } = await listen(() => {})
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, jwksRequest: { retries: 0, timeout: 50 } } })
+      try {
+        await Auth0Strategy.prototype.getJWKS.call(strategy, `${url}/.well-known/jwks.json`)
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.code, 'ECONNABORTED', 'the request did not time out')
+      } finally {
+        server.close()
+        strategy.app.set('authentication', config)
+      }
+    })
   })
 
   describe('x5cToPEM() method', () => {
@@ -177,6 +601,128 @@ describe('The Auth0Strategy', () => {
         assert.strictEqual(err.message, 'JWK has no x5c property.', 'message should be \'JWK has no x5c property.\'')
       }
     })
+
+    it('throws an error if there is no JWK', () => {
+      try {
+        strategy.x5cToPEM(undefined)
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'GeneralError', 'should throw a GeneralError')
+        assert.strictEqual(err.message, 'JWK has no x5c property.', 'message should be \'JWK has no x5c property.\'')
+      }
+    })
+  })
+
+  describe('jwkToKey() method', () => {
+    const exportKey = key => key.export({ type: 'spki', format: 'pem' })
+
+    it('creates a key from the x5c certificate chain', () => {
+      const key = strategy.jwkToKey(fakeJWKS.keys[0])
+      assert.strictEqual(key.type, 'public', 'did not create a public key')
+      assert.strictEqual(exportKey(key), signingPublicKey, 'did not create the expected key')
+    })
+
+    it('creates a key from the RSA modulus and exponent if there is no x5c', () => {
+      const { kid, kty, n, e } = fakeJWKS.keys[0]
+      const key = strategy.jwkToKey({ kid, kty, n, e })
+      assert.strictEqual(exportKey(key), signingPublicKey, 'did not create the expected key')
+    })
+
+    it('creates a key from the EC curve coordinates', () => {
+      const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      const key = strategy.jwkToKey({ kid: 'ecKid', use: 'sig', ...publicKey.export({ format: 'jwk' }) })
+      assert.strictEqual(exportKey(key), exportKey(publicKey), 'did not create the expected key')
+    })
+
+    it('throws an error if the JWK is not a signing key', () => {
+      try {
+        strategy.jwkToKey({ ...fakeJWKS.keys[0], use: 'enc' })
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'GeneralError', 'should throw a GeneralError')
+        assert.strictEqual(err.message, 'JWK "goodKid" is not a signing key.', 'wrong message')
+      }
+    })
+
+    it('throws an error if the JWK algorithm is not allowed', () => {
+      try {
+        strategy.jwkToKey({ ...fakeJWKS.keys[0], alg: 'HS256' })
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'GeneralError', 'should throw a GeneralError')
+        assert.strictEqual(err.message, 'JWK "goodKid" uses an algorithm (HS256) that is not allowed.', 'wrong message')
+      }
+    })
+
+    it('throws an error if no key can be created from the JWK', () => {
+      try {
+        strategy.jwkToKey({ kid: 'octKid', kty: 'oct', k: 'c2VjcmV0' })
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'GeneralError', 'should throw a GeneralError')
+        assert.strictEqual(err.message, 'Could not create a key from JWK "octKid".', 'wrong message')
+      }
+    })
+  })
+
+  describe('getKeyAlgorithms() method', () => {
+    const algorithms = ['RS256', 'PS256', 'ES256', 'ES384']
+
+    before(() => {
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, algorithms } })
+    })
+
+    after(() => {
+      strategy.app.set('authentication', config)
+    })
+
+    it('returns the allowed algorithms that work with an RSA key', () => {
+      const jwk = { ...fakeJWKS.keys[0], alg: undefined }
+      assert.deepEqual(strategy.getKeyAlgorithms(jwk, strategy.jwkToKey(jwk)), ['RS256', 'PS256'], 'wrong algorithms')
+    })
+
+    it('returns the allowed algorithms that work with the curve of an EC key', () => {
+      const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-384' })
+      const jwk = publicKey.export({ format: 'jwk' })
+      assert.deepEqual(strategy.getKeyAlgorithms(jwk, publicKey), ['ES384'], 'wrong algorithms')
+    })
+
+    it('returns only the algorithm named by the JWK', () => {
+      const jwk = fakeJWKS.keys[0]
+      assert.deepEqual(strategy.getKeyAlgorithms(jwk, strategy.jwkToKey(jwk)), ['RS256'], 'wrong algorithms')
+    })
+
+    it('returns no algorithms if the JWK names one that does not work with the key', () => {
+      const jwk = { ...fakeJWKS.keys[0], alg: 'ES256' }
+      const key = strategy.jwkToKey({ ...jwk, alg: undefined })
+      assert.deepEqual(strategy.getKeyAlgorithms(jwk, key), [], 'wrong algorithms')
+    })
+  })
+
+  describe('getSigningKeys() method', () => {
+    it('returns a Map of kid => key', async () => {
+      const { keys } = await strategy.getSigningKeys(strategy.configuration.jwksUri)
+      assert(keys instanceof Map, 'did not return a Map')
+      assert.strictEqual(keys.get('goodKid').key.export({ type: 'spki', format: 'pem' }), signingPublicKey, 'did not return the key')
+      assert.deepEqual(keys.get('goodKid').algorithms, ['RS256'], 'did not return the algorithms')
+    })
+
+    it('leaves out JWKs that cannot be used', async () => {
+      const { kid, kty, n, e } = fakeJWKS.keys[0]
+      strategy.getJWKS = async () => ({
+        keys: [
+          { kid, kty, n, e, use: 'sig' },
+          { kid: 'encKid', kty, n, e, use: 'enc' },
+          { kid: 'octKid', kty: 'oct', k: 'c2VjcmV0' }
+        ]
+      })
+      try {
+        const { keys } = await strategy.getSigningKeys(strategy.configuration.jwksUri)
+        assert.deepEqual([...keys.keys()], ['goodKid'], 'did not return only the usable keys')
+      } finally {
+        delete strategy.getJWKS
+      }
+    })
   })
 
   describe('getJWK() method', () => {
@@ -203,8 +749,9 @@ describe('The Auth0Strategy', () => {
     })
 
     it('sets the JWK (secret) if passed a well-formed access token', async () => {
-      const jwk = await strategy.getJWK(jwts.currentMemberJWT)
-      assert.strictEqual(jwk, signingCertificate, 'getJWK() did not set the expected PEM')
+      const { key, algorithms } = await strategy.getJWK(jwts.currentMemberJWT)
+      assert.strictEqual(key.export({ type: 'spki', format: 'pem' }), signingPublicKey, 'getJWK() did not set the expected key')
+      assert.deepEqual(algorithms, ['RS256'], 'getJWK() did not set the expected algorithms')
     })
 
     it('throws an error if the passed token is not well-formed', async () => {
@@ -218,116 +765,1246 @@ describe('The Auth0Strategy', () => {
     })
 
     it('will return a stored key if found in the database', async () => {
-      strategy.jwks.set('goodKid', signingCertificate)
-      await strategy.getJWK(jwts.currentMemberJWT)
-      const key = strategy.jwks.get('goodKid')
+      storeKey(strategy.getJWKSCache(), 'goodKid', { key: signingCertificate, algorithms: ['RS256'] })
+      const { key } = await strategy.getJWK(jwts.currentMemberJWT)
       assert.equal(key, signingCertificate, 'getJWK() did not return the key expected')
     })
   })
 
-  describe('authenticate() method', () => {
-    it('is a function', () => {
-      assert(typeof strategy.authenticate === 'function', 'authenticate() is not a function.')
+  describe('verifyToken() method', () => {
+    const payload = { sub: 'auth0|currentValidTokenMember', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' }
+    const useAlgorithms = algorithms => {
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, algorithms } })
+      strategy.jwks = new Map()
+    }
+
+    afterEach(() => {
+      delete strategy.getJWKS
+      useAlgorithms(['RS256'])
     })
 
-    it('throws an error if no accessToken is passed', async () => {
+    it('verifies a token signed with one of the allowed algorithms', async () => {
+      useAlgorithms(['RS256', 'RS512', 'PS256'])
+      const { kid, kty, n, e } = fakeJWKS.keys[0]
+      strategy.getJWKS = async () => ({ keys: [{ kid, kty, n, e }] })
+      for (const algorithm of ['RS512', 'PS256']) {
+        const token = jwt.sign(payload, signingPrivateKey, { algorithm, keyid: kid })
+        const { sub } = await strategy.verifyToken(token)
+        assert.strictEqual(sub, payload.sub, `the ${algorithm} token was not verified`)
+      }
+    })
+
+    it('verifies a token signed with ES256', async () => {
+      useAlgorithms(['ES256'])
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+      strategy.getJWKS = async () => ({ keys: [{ kid: 'ecKid', alg: 'ES256', use: 'sig', ...publicKey.export({ format: 'jwk' }) }] })
+      const token = jwt.sign(payload, privateKey.export({ type: 'pkcs8', format: 'pem' }), { algorithm: 'ES256', keyid: 'ecKid' })
+      const { sub } = await strategy.verifyToken(token)
+      assert.strictEqual(sub, payload.sub, 'the ES256 token was not verified')
+    })
+
+    it('rejects a token signed with an algorithm that is not allowed', async () => {
+      useAlgorithms(['PS256'])
+      const { kid, kty, n, e } = fakeJWKS.keys[0]
+      strategy.getJWKS = async () => ({ keys: [{ kid, kty, n, e }] })
       try {
-        await strategy.authenticate({ accessToken: null }, {})
+        await strategy.verifyToken(jwt.sign(payload, signingPrivateKey, { algorithm: 'RS256', keyid: kid }))
+        assert.fail('Should never get here')
       } catch (err) {
-        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
-        assert.strictEqual(err.message, 'Token could not be verified', 'message should be \'Token could not be verified\'')
-        assert.strictEqual(err.data.message, 'The access token was malformed or missing', 'message should be \'The access token was malformed or missing\'')
+        assert.strictEqual(err.message, 'invalid algorithm', 'wrong message')
       }
     })
 
-    it('throws an error if the accessToken is malformed', async () => {
+    it('rejects a token issued for another audience', async () => {
       try {
-        await strategy.authenticate({ accessToken: 'a_bad_token' }, {})
+        await strategy.verifyToken(jwt.sign({ ...payload, aud: 'https://api.example.com' }, signingPrivateKey, { algorithm: 'RS256', keyid: 'goodKid' }))
+        assert.fail('Should never get here')
       } catch (err) {
-        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
-        assert.strictEqual(err.message, 'Token could not be verified', 'message should be \'Token could not be verified\'')
-        assert.strictEqual(err.data.message, 'The access token was malformed or missing', 'message should be \'The access token was malformed or missing\'')
+        assert.strictEqual(err.message, 'jwt audience invalid. expected: https://example.auth0.com/api/v2/ or https://example.auth0.com/userinfo', 'wrong message')
       }
     })
 
-    it('throws an error if the accessToken cannot be verified', async () => {
+    it('checks the audience against `auth0.audience` if it is set', async () => {
+      const token = jwt.sign({ ...payload, aud: ['https://api.example.com', 'https://example.auth0.com/userinfo'] }, signingPrivateKey, { algorithm: 'RS256', keyid: 'goodKid' })
+      for (const audience of ['https://api.example.com', ['https://other.example.com', 'https://api.example.com'], /^https:\/\/api\.example\.com$/]) {
+        strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, audience } })
+        const { sub } = await strategy.verifyToken(token)
+        assert.strictEqual(sub, payload.sub, `the token was not verified with audience ${audience}`)
+      }
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, audience: 'https://other.example.com' } })
       try {
-        // make sure a valid key is stored in the keys service
-        strategy.jwks.set('goodKid', strategy.x5cToPEM(fakeJWKS.keys[0]))
-        // add a valid user to the database
-        await strategy.entityService.create({ user_id: 'auth0|currentValidTokenMember' })
-        // try to authenticate with a JWT that was created with an invalid issuer URL
-        await strategy.authenticate({ accessToken: jwts.invalidIssuerJWT }, {})
+        await strategy.verifyToken(token)
         assert.fail('Should never get here')
       } catch (err) {
-        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
-        assert.strictEqual(err.message, 'Token could not be verified', 'message should be \'Token could not be verified\'')
+        assert.strictEqual(err.message, 'jwt audience invalid. expected: https://other.example.com', 'wrong message')
       }
     })
 
-    it('returns a valid access token and entity upon success', async () => {
-      const result = await strategy.authenticate({ accessToken: jwts.currentMemberJWT }, {})
-      assert.deepEqual(result, {
-        accessToken: jwts.currentMemberJWT,
-        authentication: {
-          strategy: 'auth0',
-          payload: {
-            sub: 'auth0|currentValidTokenMember',
-            aud: [
-              'https://example.auth0.com/api/v2/',
-              'https://example.auth0.com/userinfo'
-            ],
-            iss: 'https://example.auth0.com/'
-          }
+    it('checks the audience against the one passed in the options', async () => {
+      const token = jwt.sign({ ...payload, aud: 'https://orders.example.com' }, signingPrivateKey, { algorithm: 'RS256', keyid: 'goodKid' })
+      const { sub } = await strategy.verifyToken(token, { audience: 'https://orders.example.com' })
+      assert.strictEqual(sub, payload.sub, 'the token was not verified')
+    })
+
+    it('rejects a token signed with an algorithm other than the one named by the JWK', async () => {
+      useAlgorithms(['RS256', 'PS256'])
+      try {
+        await strategy.verifyToken(jwt.sign(payload, signingPrivateKey, { algorithm: 'PS256', keyid: 'goodKid' }))
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.message, 'invalid algorithm', 'wrong message')
+      }
+    })
+  })
+
+  describe('with multiple trusted issuers', () => {
+    const euJWKSUri = 'https://example.eu.auth0.com/.well-known/jwks.json'
+    const issuersConfig = {
+      ...config,
+      auth0: {
+        ...config.auth0,
+        issuers: [
+          { domain: 'example.eu.auth0.com', audience: 'https://api.example.com', entityId: 'eu_user_id' },
+          { domain: 'example.us.auth0.com', issuer: 'https://login.example.com/' }
+        ]
+      }
+    }
+    const sign = payload => jwt.sign(payload, signingPrivateKey, { algorithm: 'RS256', keyid: 'goodKid', expiresIn: 60 })
+    let requestedUris
+
+    beforeEach(() => {
+      requestedUris = []
+      strategy.app.set('authentication', issuersConfig)
+      strategy.jwks = new Map()
+      strategy.getJWKS = async uri => {
+        requestedUris.push(uri)
+        return fakeJWKS
+      }
+    })
+
+    afterEach(() => {
+      delete strategy.getJWKS
+      strategy.app.set('authentication', config)
+      strategy.jwks = new Map()
+    })
+
+    it('lists every trusted issuer in the configuration', () => {
+      assert.deepEqual(strategy.configuration.issuers.slice(1), [
+        {
+          audience: 'https://api.example.com',
+          domain: 'example.eu.auth0.com',
+          entityId: 'eu_user_id',
+          issuer: 'https://example.eu.auth0.com/',
+          jwksUri: euJWKSUri
         },
-        user: {
-          _id: result.user._id,
-          user_id: 'auth0|currentValidTokenMember'
+        {
+          audience: ['https://example.us.auth0.com/api/v2/', 'https://example.us.auth0.com/userinfo'],
+          domain: 'example.us.auth0.com',
+          issuer: 'https://login.example.com/',
+          jwksUri: 'https://example.us.auth0.com/.well-known/jwks.json'
         }
-      }, 'The expected authenticate() result was not returned')
+      ], 'The issuers were not configured correctly')
     })
+
+    it('does not require a domain if issuers are set', () => {
+      strategy.app.set('authentication', { auth0: { issuers: ['example.eu.auth0.com'] } })
+      strategy.verifyConfiguration()
+      assert.strictEqual(strategy.configuration.jwksUri, euJWKSUri, 'The first issuer was not used by default')
+    })
+
+    it('requires issuers without a domain to set an issuer, jwksUri and audience', () => {
+      strategy.app.set('authentication', { auth0: { issuers: [{ issuer: 'https://login.example.com/', jwksUri: euJWKSUri }] } })
+      try {
+        strategy.verifyConfiguration()
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'GeneralError', 'should throw a GeneralError')
+        assert.strictEqual(
+          err.message,
+          'Each of `authentication.auth0.issuers` needs a `domain`, or an `issuer`, `audience` and `jwksUri` (or `jwks` or `jwksFile`).',
+          'Did not have the correct error message'
+        )
+      }
+    })
+
+    it('verifies a token with the keys and audience of its issuer', async () => {
+      const token = sign({ sub: 'auth0|euMember', aud: 'https://api.example.com', iss: 'https://example.eu.auth0.com/' })
+      const { sub } = await strategy.verifyToken(token)
+      assert.strictEqual(sub, 'auth0|euMember', 'The token was not verified')
+      assert.deepEqual(requestedUris, [euJWKSUri], 'The JWKS of the issuer was not used')
+      try {
+        await strategy.verifyToken(sign({ sub: 'auth0|euMember', aud: 'https://example.eu.auth0.com/userinfo', iss: 'https://example.eu.auth0.com/' }))
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.message, 'jwt audience invalid. expected: https://api.example.com', 'wrong message')
+      }
+    })
+
+    it('verifies a token from a custom domain with the keys of its tenant', async () => {
+      const token = sign({ sub: 'auth0|usMember', aud: 'https://example.us.auth0.com/userinfo', iss: 'https://login.example.com/' })
+      const { sub } = await strategy.verifyToken(token)
+      assert.strictEqual(sub, 'auth0|usMember', 'The token was not verified')
+      assert.deepEqual(requestedUris, ['https://example.us.auth0.com/.well-known/jwks.json'], 'The JWKS of the tenant was not used')
+    })
+
+    it('keeps a separate key cache for each issuer', async () => {
+      await strategy.verifyToken(sign({ sub: 'auth0|euMember', aud: 'https://api.example.com', iss: 'https://example.eu.auth0.com/' }))
+      await strategy.verifyToken(sign({ sub: 'auth0|usMember', aud: 'https://example.us.auth0.com/userinfo', iss: 'https://login.example.com/' }))
+      await strategy.verifyToken(sign({ sub: 'auth0|euMember', aud: 'https://api.example.com', iss: 'https://example.eu.auth0.com/' }))
+      assert.strictEqual(strategy.jwks.size, 2, 'There should be one cache per issuer')
+      assert.strictEqual(requestedUris.length, 2, 'Each JWKS should only be fetched once')
+    })
+
+    it('rejects a token from an untrusted issuer without fetching any keys', async () => {
+      try {
+        await strategy.verifyToken(sign({ sub: 'auth0|evil', aud: 'https://api.example.com', iss: 'https://evil.auth0.com/' }))
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.message, 'The access token was issued by an untrusted issuer: https://evil.auth0.com/', 'wrong message')
+        assert.deepEqual(requestedUris, [], 'A JWKS was fetched')
+      }
+    })
+
+    it('uses the entity settings of the issuer', async () => {
+      await app.service('users').create({ eu_user_id: 'auth0|euMember' })
+      const accessToken = sign({ sub: 'auth0|euMember', aud: 'https://api.example.com', iss: 'https://example.eu.auth0.com/' })
+      const { user } = await strategy.authenticate({ accessToken }, {})
+      assert.strictEqual(user.eu_user_id, 'auth0|euMember', 'The user was not found using the entityId of the issuer')
+      await app.service('users').remove(user._id)
+    })
+  })
+
+  describe('with a local JWKS', () => {
+    const sign = (payload, keyid = 'goodKid') => jwt.sign(payload, signingPrivateKey, { algorithm: 'RS256', keyid, expiresIn: 60 })
+    const token = () => sign({ sub: 'auth0|offline', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' })
+    const withLocal = options => strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, ...options } })
+    let dir, file, requestedUris
+
+    beforeEach(() => {
+      requestedUris = []
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'))
+      file = path.join(dir, 'jwks.json')
+      fs.writeFileSync(file, JSON.stringify(fakeJWKS))
+      strategy.jwks = new Map()
+      strategy.getJWKS = async uri => {
+        requestedUris.push(uri)
+        return fakeJWKS
+      }
+    })
+
+    afterEach(() => {
+      for (const watcher of strategy.jwksWatchers.values()) watcher.close()
+      strategy.jwksWatchers = new Map()
+      fs.rmSync(dir, { recursive: true, force: true })
+      delete strategy.getJWKS
+      strategy.app.set('authentication', config)
+      strategy.jwks = new Map()
+    })
+
+    it('verifies tokens with an inline JWKS without fetching one', async () => {
+      withLocal({ jwks: clone(fakeJWKS) })
+      const { sub } = await strategy.verifyToken(token())
+      assert.strictEqual(sub, 'auth0|offline', 'The token was not verified')
+      assert.deepEqual(requestedUris, [], 'The JWKS endpoint was used')
+    })
+
+    it('verifies tokens with a JWKS file without fetching one', async () => {
+      withLocal({ jwksFile: file })
+      const { sub } = await strategy.verifyToken(token())
+      assert.strictEqual(sub, 'auth0|offline', 'The token was not verified')
+      assert.deepEqual(requestedUris, [], 'The JWKS endpoint was used')
+      assert(strategy.jwksWatchers.has(file), 'The JWKS file is not being watched')
+      assert.strictEqual(strategy.getJWKSCache(file).expiresAt, Infinity, 'The keys from a watched file should not expire')
+    })
+
+    it('reloads the JWKS file when it changes', async () => {
+      withLocal({ jwksFile: file })
+      await strategy.verifyToken(token())
+      const rotated = clone(fakeJWKS)
+      rotated.keys[0].kid = 'rotatedKid'
+      fs.writeFileSync(file, JSON.stringify(rotated))
+      strategy.jwksWatchers.get(file).emit('change', 'change', 'jwks.json')
+      const { sub } = await strategy.verifyToken(sign({ sub: 'auth0|offline', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' }, 'rotatedKid'))
+      assert.strictEqual(sub, 'auth0|offline', 'The rotated key was not loaded')
+      try {
+        await strategy.verifyToken(token())
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.message, 'Could not retrieve JWKS', 'wrong message')
+      }
+    })
+
+    it('does not fall back to the JWKS endpoint by default', async () => {
+      withLocal({ jwks: { keys: [] } })
+      try {
+        await strategy.verifyToken(token())
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.message, 'Could not retrieve JWKS', 'wrong message')
+        assert.deepEqual(requestedUris, [], 'The JWKS endpoint was used')
+      }
+    })
+
+    it('falls back to the JWKS endpoint for unknown keys with local-first', async () => {
+      withLocal({ jwks: { keys: [] }, jwksSource: 'local-first' })
+      const { sub } = await strategy.verifyToken(token())
+      assert.strictEqual(sub, 'auth0|offline', 'The token was not verified')
+      assert.deepEqual(requestedUris, ['https://example.auth0.com/.well-known/jwks.json'], 'The JWKS endpoint was not used')
+    })
+
+    it('falls back to the local JWKS when the endpoint fails with remote-first', async () => {
+      withLocal({ jwks: clone(fakeJWKS), jwksSource: 'remote-first' })
+      strategy.getJWKS = async uri => {
+        requestedUris.push(uri)
+        throw new Error('offline')
+      }
+      const { sub } = await strategy.verifyToken(token())
+      assert.strictEqual(sub, 'auth0|offline', 'The token was not verified')
+      assert.deepEqual(requestedUris, ['https://example.auth0.com/.well-known/jwks.json'], 'The JWKS endpoint was not tried first')
+    })
+
+    it('lets issuers without a domain use a local JWKS', async () => {
+      strategy.app.set('authentication', {
+        auth0: { issuers: [{ issuer: 'https://login.example.com/', audience: 'https://api.example.com', jwksFile: file }] }
+      })
+      strategy.verifyConfiguration()
+      const { sub } = await strategy.verifyToken(sign({ sub: 'auth0|offline', aud: 'https://api.example.com', iss: 'https://login.example.com/' }))
+      assert.strictEqual(sub, 'auth0|offline', 'The token was not verified')
+    })
+
+    it('only allows known values for jwksSource', () => {
+      withLocal({ jwksFile: file, jwksSource: 'nearest' })
+      try {
+        strategy.verifyConfiguration()
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'GeneralError', 'should throw a GeneralError')
+        assert.strictEqual(err.message, '`jwksSource` must be one of local, local-first or remote-first.', 'wrong message')
+      }
+    })
+  })
+
+  describe('getJWKSCache() method', () => {
+    it('returns the same cache for the same JWKS endpoint', () => {
+      assert.strictEqual(strategy.getJWKSCache(), strategy.getJWKSCache(), 'a new cache was created')
+    })
+
+    it('returns a separate cache for each JWKS endpoint', () => {
+      const other = strategy.getJWKSCache('https://other.auth0.com/.well-known/jwks.json')
+      assert(other instanceof JWKSCache, 'did not return a JWKSCache')
+      assert.notStrictEqual(other, strategy.getJWKSCache(), 'the caches should be different')
+    })
+  })
+
+  describe('authenticate() method', () => {
+    it('is a function', () => {
+      assert(typeof strategy.authenticate === 'function', 'authenticate() is not a function.')
+    })
+
+    it('throws an error if no accessToken is passed', async () => {
+      try {
+        await strategy.authenticate({ accessToken: null }, {})
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.message, 'Token could not be verified', 'message should be \'Token could not be verified\'')
+        assert.strictEqual(err.data.message, 'The access token was malformed or missing', 'message should be \'The access token was malformed or missing\'')
+      }
+    })
+
+    it('throws an error if the accessToken is malformed', async () => {
+      try {
+        await strategy.authenticate({ accessToken: 'a_bad_token' }, {})
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.message, 'Token could not be verified', 'message should be \'Token could not be verified\'')
+        assert.strictEqual(err.data.message, 'The access token was malformed or missing', 'message should be \'The access token was malformed or missing\'')
+      }
+    })
+
+    it('throws an error if the accessToken cannot be verified', async () => {
+      try {
+        // make sure a valid key is stored in the keys service
+        storeKey(strategy.getJWKSCache(), 'goodKid', { key: strategy.x5cToPEM(fakeJWKS.keys[0]), algorithms: ['RS256'] })
+        // add a valid user to the database
+        await strategy.entityService.create({ user_id: 'auth0|currentValidTokenMember' })
+        // try to authenticate with a JWT that was created with an invalid issuer URL
+        await strategy.authenticate({ accessToken: jwts.invalidIssuerJWT }, {})
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.message, 'Token could not be verified', 'message should be \'Token could not be verified\'')
+      }
+    })
+
+    it('checks the audience against `params.audience` if it is set', async () => {
+      try {
+        await strategy.authenticate({ accessToken: jwts.currentMemberJWT }, { audience: 'https://orders.example.com' })
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.data.message, 'jwt audience invalid. expected: https://orders.example.com', 'wrong message')
+      }
+    })
+
+    it('builds the entity from the token claims if `service` is null', async () => {
+      const claims = { email: 'https://example.com/email', roles: 'https://example.com/roles' }
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, claims, service: null } })
+      const accessToken = jwt.sign(
+        { sub: 'auth0|stateless', 'https://example.com/email': 'jane@example.com', 'https://example.com/roles': ['admin'], aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' },
+        signingPrivateKey,
+        { algorithm: 'RS256', keyid: 'goodKid', expiresIn: 60 }
+      )
+      const { user } = await strategy.authenticate({ accessToken }, {})
+      strategy.app.set('authentication', config)
+      assert.deepEqual(user, { user_id: 'auth0|stateless', email: 'jane@example.com', roles: ['admin'] }, 'The user was not built from the claims')
+    })
+
+    it('returns a valid access token and entity upon success', async () => {
+      const result = await strategy.authenticate({ accessToken: jwts.currentMemberJWT }, {})
+      assert.deepEqual(result, {
+        accessToken: jwts.currentMemberJWT,
+        authentication: {
+          strategy: 'auth0',
+          payload: {
+            sub: 'auth0|currentValidTokenMember',
+            aud: [
+              'https://example.auth0.com/api/v2/',
+              'https://example.auth0.com/userinfo'
+            ],
+            iss: 'https://example.auth0.com/'
+          }
+        },
+        user: {
+          _id: result.user._id,
+          user_id: 'auth0|currentValidTokenMember'
+        }
+      }, 'The expected authenticate() result was not returned')
+    })
+  })
+
+  describe('with machine-to-machine tokens', () => {
+    const accessToken = jwt.sign(
+      { sub: 'abc123@clients', azp: 'abc123', gty: 'client-credentials', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' },
+      signingPrivateKey,
+      { algorithm: 'RS256', keyid: 'goodKid', expiresIn: 60 }
+    )
+    const withClients = clients => strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, clients } })
+
+    before(async () => {
+      app.use('/clients', createNeDBService({ Model: new nedb() }))
+      await app.service('clients').create({ client_id: 'abc123', name: 'Billing' })
+    })
+
+    afterEach(() => {
+      strategy.app.set('authentication', config)
+    })
+
+    it('recognizes machine-to-machine tokens', () => {
+      assert.strictEqual(strategy.isClientToken(jwt.decode(accessToken)), true, 'the token was not recognized')
+      assert.strictEqual(strategy.isClientToken({ sub: 'abc123@clients' }), true, 'the sub was not recognized')
+      assert.strictEqual(strategy.isClientToken({ sub: 'auth0|currentValidTokenMember' }), false, 'a user token was recognized')
+      assert.strictEqual(strategy.getClientId({ sub: 'abc123@clients' }), 'abc123', 'wrong client ID')
+    })
+
+    it('looks machine-to-machine tokens up as users unless `clients` is set', async () => {
+      try {
+        await strategy.authenticate({ accessToken }, {})
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.message, 'Could not find user with this user_id in the database', 'wrong message')
+      }
+    })
+
+    it('resolves machine-to-machine tokens to a client', async () => {
+      withClients(true)
+      const { authentication, client, user } = await strategy.authenticate({ accessToken }, {})
+      assert.strictEqual(client.name, 'Billing', 'The client was not found')
+      assert.strictEqual(user, undefined, 'A user was returned')
+      assert.strictEqual(authentication.payload.sub, 'abc123@clients', 'The payload was not returned')
+      const { user: person } = await strategy.authenticate({ accessToken: jwts.currentMemberJWT }, {})
+      assert.strictEqual(person.user_id, 'auth0|currentValidTokenMember', 'A user token was not resolved to a user')
+    })
+
+    it('accepts machine-to-machine tokens without an entity if `clients.service` is null', async () => {
+      withClients({ service: null })
+      const result = await strategy.authenticate({ accessToken }, {})
+      assert.deepEqual(Object.keys(result), ['accessToken', 'authentication'], 'An entity was returned')
+    })
+  })
+
+  describe('handleConnection() method', () => {
+    it('is a function', () => {
+      assert(typeof strategy.handleConnection === 'function', 'authenticate() is not a function.')
+    })
+
+    it('rejects a token issued for another audience on login', async () => {
+      const accessToken = jwt.sign(
+        { sub: 'auth0|currentValidTokenMember', aud: 'https://api.example.com', iss: 'https://example.auth0.com/' },
+        signingPrivateKey,
+        { algorithm: 'RS256', keyid: 'goodKid', expiresIn: 60 }
+      )
+      const connection = {}
+      try {
+        await strategy.handleConnection('login', connection, { accessToken })
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'JsonWebTokenError', 'should throw a JsonWebTokenError')
+        assert.strictEqual(connection.authentication, undefined, 'the connection was authenticated')
+      }
+    })
+
+    it('warns the connection before the token expires', async () => {
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, expiryWarning: 60 * 60 * 1000 } })
+      const accessToken = jwt.sign(
+        { sub: 'auth0|currentValidTokenMember', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' },
+        signingPrivateKey,
+        { algorithm: 'RS256', keyid: 'goodKid', expiresIn: 60 }
+      )
+      const connection = {}
+      const warned = new Promise(resolve => app.service('authentication').once('token-expiring', (data, hook) => resolve({ data, hook })))
+      await strategy.handleConnection('login', connection, { accessToken })
+      const { data, hook } = await warned
+      strategy.handleConnection('disconnect', connection)
+      strategy.app.set('authentication', config)
+      assert.strictEqual(hook.connection, connection, 'the event was not for the connection')
+      assert.strictEqual(data.exp, jwt.decode(accessToken).exp, 'the event did not have the expiration time')
+      assert(data.expiresIn > 0, 'the event did not say how long the token has left')
+    })
+
+    it('replaces the token and resets the timers when logging in again on the same connection', async () => {
+      const sign = expiresIn => jwt.sign(
+        { sub: 'auth0|currentValidTokenMember', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' },
+        signingPrivateKey,
+        { algorithm: 'RS256', keyid: 'goodKid', expiresIn }
+      )
+      const connection = {}
+      const renewed = sign(3600)
+      await strategy.handleConnection('login', connection, { accessToken: sign(60) })
+      const timers = [strategy.warningTimers.get(connection), strategy.expirationTimers.get(connection)]
+      const cleared = []
+      const { clearTimeout } = lt
+      lt.clearTimeout = timer => cleared.push(timer) && clearTimeout(timer)
+      try {
+        await strategy.handleConnection('login', connection, { accessToken: renewed })
+      } finally {
+        lt.clearTimeout = clearTimeout
+      }
+      assert.deepEqual(cleared, timers, 'the old timers were not cleared')
+      assert.strictEqual(connection.authentication.accessToken, renewed, 'the token was not replaced')
+      strategy.handleConnection('disconnect', connection)
+    })
+
+    it('does not re-authenticate a connection as someone else', async () => {
+      const connection = {}
+      await strategy.handleConnection('login', connection, { accessToken: jwts.currentMemberJWT })
+      const accessToken = jwt.sign(
+        { sub: 'auth0|someoneElse', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/' },
+        signingPrivateKey,
+        { algorithm: 'RS256', keyid: 'goodKid', expiresIn: 60 }
+      )
+      await assert.rejects(strategy.authenticate({ accessToken }, { connection }), {
+        name: 'NotAuthenticated',
+        message: 'The connection is already authenticated as someone else'
+      })
+      strategy.handleConnection('disconnect', connection)
+    })
+
+    describe('with claim-driven channels', () => {
+      let channelApp, channelStrategy
+      const sign = (claims, expiresIn = 60) => jwt.sign(
+        { sub: 'auth0|currentValidTokenMember', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/', ...claims },
+        signingPrivateKey,
+        { algorithm: 'RS256', keyid: 'goodKid', expiresIn }
+      )
+
+      before(() => {
+        channelApp = feathers()
+        channelApp.configure(channels())
+        channelApp.set('authentication', {
+          ...config,
+          auth0: { ...config.auth0, channels: { users: 'sub', orgs: 'org_id', roles: 'https://example.com/roles' } }
+        })
+        const service = new Auth0Service(channelApp)
+        channelStrategy = new MockAuth0Strategy()
+        service.register('auth0', channelStrategy)
+        channelApp.use('/users', { async find () { return [] } })
+        channelApp.use('/authentication', service)
+      })
+
+      it('maps `true` to the user, organization and permission channels', () => {
+        const custom = channelApp.get('authentication')
+        channelApp.set('authentication', { ...config, auth0: { ...config.auth0, channels: true } })
+        try {
+          assert.deepEqual(
+            channelStrategy.configuration.channels,
+            { users: 'sub', orgs: 'org_id', permissions: 'permissions' },
+            'the default channels were not used'
+          )
+          assert.deepEqual(
+            channelStrategy.getChannelNames({ sub: 'auth0|1', org_id: 'org_1', permissions: ['read:a', 'write:a'] }),
+            ['users/auth0|1', 'orgs/org_1', 'permissions/read:a', 'permissions/write:a'],
+            'the wrong channel names were returned'
+          )
+        } finally {
+          channelApp.set('authentication', custom)
+        }
+      })
+
+      it('joins the channels for the claims of the token on login', async () => {
+        const connection = {}
+        await channelStrategy.handleConnection('login', connection, { accessToken: sign({ 'https://example.com/roles': ['admin', 'editor'] }) })
+        assert.deepEqual(channelApp.channels.sort(), ['roles/admin', 'roles/editor', 'users/auth0|currentValidTokenMember'], 'the wrong channels were joined')
+        for (const name of channelApp.channels) {
+          assert.deepEqual(channelApp.channel(name).connections, [connection], `the connection did not join ${name}`)
+        }
+        channelStrategy.handleConnection('disconnect', connection)
+      })
+
+      it('leaves the channels on logout', async () => {
+        const connection = {}
+        const accessToken = sign({ org_id: 'org_1' })
+        await channelStrategy.handleConnection('login', connection, { accessToken })
+        await channelStrategy.handleConnection('logout', connection, { accessToken })
+        assert.deepEqual(channelApp.channel('orgs/org_1').connections, [], 'the connection did not leave the channel')
+        assert.deepEqual(channelApp.channel('users/auth0|currentValidTokenMember').connections, [], 'the connection did not leave the channel')
+      })
+
+      it('moves the connection to the channels for a renewed token', async () => {
+        const connection = {}
+        await channelStrategy.handleConnection('login', connection, { accessToken: sign({ 'https://example.com/roles': ['admin'] }) })
+        await channelStrategy.handleConnection('login', connection, { accessToken: sign({ 'https://example.com/roles': ['editor'] }, 3600) })
+        assert.deepEqual(channelApp.channel('roles/admin').connections, [], 'the connection is still in the old channel')
+        assert.deepEqual(channelApp.channel('roles/editor').connections, [connection], 'the connection did not join the new channel')
+        channelStrategy.handleConnection('disconnect', connection)
+        assert.deepEqual(channelApp.channel('roles/editor').connections, [], 'the connection did not leave the channel')
+      })
+
+      it('does nothing when channels are turned off', async () => {
+        const connection = {}
+        const custom = channelApp.get('authentication')
+        channelApp.set('authentication', config)
+        try {
+          await channelStrategy.handleConnection('login', connection, { accessToken: sign({ org_id: 'org_2' }) })
+          assert.deepEqual(channelApp.channel('orgs/org_2').connections, [], 'the connection joined a channel')
+        } finally {
+          channelStrategy.handleConnection('disconnect', connection)
+          channelApp.set('authentication', custom)
+        }
+      })
+    })
+  })
+
+  describe('revoke() method', () => {
+    const sign = (payload, options = {}) => jwt.sign(
+      { sub: 'auth0|currentValidTokenMember', aud: 'https://example.auth0.com/userinfo', iss: 'https://example.auth0.com/', ...payload },
+      signingPrivateKey,
+      { algorithm: 'RS256', keyid: 'goodKid', expiresIn: 60, ...options }
+    )
+    let denylist, disconnected
+    const onDisconnect = connection => disconnected.push(connection)
+
+    beforeEach(() => {
+      disconnected = []
+      denylist = strategy.denylist
+      strategy.denylist = new Denylist(denylist.getService, denylist.onAdd)
+      strategy.app.on('disconnect', onDisconnect)
+    })
+
+    afterEach(() => {
+      strategy.app.removeListener('disconnect', onDisconnect)
+      for (const connection of strategy.connections.keys()) strategy.handleConnection('disconnect', connection)
+      strategy.app.set('authentication', config)
+      strategy.denylist = denylist
+    })
+
+    it('rejects a token that has been revoked by its jti', async () => {
+      const accessToken = sign({}, { jwtid: 'stolen' })
+      await strategy.verifyToken(accessToken)
+      await strategy.revoke({ jti: 'stolen' })
+      try {
+        await strategy.authenticate({ accessToken }, {})
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+        assert.strictEqual(err.data.message, 'The access token has been revoked', 'wrong message')
+      }
+      await strategy.verifyToken(sign({}, { jwtid: 'another' }))
+    })
+
+    it('rejects tokens issued to a sub before the revocation', async () => {
+      const now = Math.floor(Date.now() / 1000)
+      await strategy.revoke({ sub: 'auth0|currentValidTokenMember', issuedBefore: now })
+      await assert.rejects(strategy.verifyToken(sign({ iat: now - 10 })), { message: 'The access token has been revoked' })
+      const { sub } = await strategy.verifyToken(sign({ iat: now }))
+      assert.strictEqual(sub, 'auth0|currentValidTokenMember', 'a token issued after the revocation was rejected')
+      await strategy.verifyToken(sign({ sub: 'auth0|someoneElse', iat: now - 10 }))
+    })
+
+    it('disconnects real time connections that use a revoked token', async () => {
+      const revoked = {}
+      const other = {}
+      await strategy.handleConnection('login', revoked, { accessToken: sign({}, { jwtid: 'stolen' }) })
+      await strategy.handleConnection('login', other, { accessToken: sign({}, { jwtid: 'fine' }) })
+      await strategy.revoke({ jti: 'stolen' })
+      assert.deepEqual(disconnected, [revoked], 'the wrong connections were disconnected')
+    })
+
+    it('can keep the denylist in a Feathers service', async () => {
+      app.use('/revoked-tokens', createNeDBService({ Model: new nedb() }))
+      strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, denylist: { service: 'revoked-tokens' } } })
+      const connection = {}
+      await strategy.handleConnection('login', connection, { accessToken: sign({}, { jwtid: 'stolen' }) })
+      // e.g. revoked by another instance of the API
+      await app.service('revoked-tokens').create({ jti: 'stolen' })
+      assert.deepEqual(disconnected, [connection], 'the connection was not disconnected')
+      await assert.rejects(strategy.verifyToken(sign({}, { jwtid: 'stolen' })), { message: 'The access token has been revoked' })
+      await strategy.verifyToken(sign({}, { jwtid: 'fine' }))
+      await strategy.revoke({ sub: 'auth0|currentValidTokenMember' })
+      await assert.rejects(strategy.verifyToken(sign({ iat: Math.floor(Date.now() / 1000) - 10 })), { message: 'The access token has been revoked' })
+    })
+  })
+
+  describe('parse() method', () => {
+    it('is a function', () => {
+      assert(typeof strategy.parse === 'function', 'parse() is not a function.')
+    })
+    it('extracts an accessToken value from an HTTP header scheme', () => {
+      const result = strategy.parse({
+        headers: {
+          authorization: 'Bearer the_token_value'
+        }
+      })
+      assert.deepEqual(result, {
+        strategy: 'auth0',
+        accessToken: 'the_token_value'
+      }, 'The expected parse() result was not returned')
+    })
+    it('extracts the accessToken value from a plain HTTP header', () => {
+      const result = strategy.parse({
+        headers: {
+          authorization: 'the_token_value'
+        }
+      })
+      assert.deepEqual(result, {
+        strategy: 'auth0',
+        accessToken: 'the_token_value'
+      }, 'The expected parse() result was not returned')
+    })
+    it('returns null for an absent header', () => {
+      const result = strategy.parse({
+        headers: {}
+      })
+      assert.strictEqual(result, null, 'Malformed parse() result')
+    })
+    it('matches the configured schemes regardless of case', () => {
+      const result = strategy.parse({
+        headers: {
+          authorization: 'jwt the_token_value'
+        }
+      })
+      assert.deepEqual(result, {
+        strategy: 'auth0',
+        accessToken: 'the_token_value'
+      }, 'The expected parse() result was not returned')
+    })
+    it('returns null for a header with an unknown scheme', () => {
+      const result = strategy.parse({
+        headers: {
+          authorization: 'Basic dXNlcjpwYXNz'
+        }
+      })
+      assert.strictEqual(result, null, 'A token was taken from a Basic header')
+    })
+    it('returns null for a header with a scheme but no token', () => {
+      for (const authorization of ['Bearer', 'Bearer ', 'jwt']) {
+        assert.strictEqual(strategy.parse({ headers: { authorization } }), null, `A token was taken from "${authorization}"`)
+      }
+    })
+    describe('with custom token sources', () => {
+      afterEach(() => {
+        strategy.app.set('authentication', config)
+      })
+      it('reads the configured header', () => {
+        strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, header: 'X-Access-Token', schemes: ['Token'] } })
+        const result = strategy.parse({
+          headers: {
+            authorization: 'Bearer not_this_one',
+            'x-access-token': 'Token the_token_value'
+          }
+        })
+        assert.deepEqual(result, {
+          strategy: 'auth0',
+          accessToken: 'the_token_value'
+        }, 'The expected parse() result was not returned')
+      })
+      it('extracts the accessToken from the configured cookie', () => {
+        strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, cookie: 'auth0_token' } })
+        const result = strategy.parse({
+          headers: {
+            cookie: 'theme=dark; auth0_token=the%20token_value; other=1'
+          }
+        })
+        assert.deepEqual(result, {
+          strategy: 'auth0',
+          accessToken: 'the token_value'
+        }, 'The expected parse() result was not returned')
+      })
+      it('returns null for a malformed cookie', () => {
+        strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, cookie: 'auth0_token' } })
+        const result = strategy.parse({
+          headers: {
+            cookie: 'auth0_token=%E0%A4%A'
+          }
+        })
+        assert.strictEqual(result, null, 'A malformed cookie was not ignored')
+      })
+      it('does not read cookies unless configured to', () => {
+        const result = strategy.parse({
+          headers: {
+            cookie: 'access_token=the_token_value'
+          }
+        })
+        assert.strictEqual(result, null, 'A token was taken from a cookie')
+      })
+      it('extracts the accessToken from the query and removes it', () => {
+        strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, queryParam: true } })
+        const req = {
+          headers: {},
+          query: { access_token: 'the_token_value', $limit: 10 }
+        }
+        const result = strategy.parse(req)
+        assert.deepEqual(result, {
+          strategy: 'auth0',
+          accessToken: 'the_token_value'
+        }, 'The expected parse() result was not returned')
+        assert.deepEqual(req.query, { $limit: 10 }, 'The token was not removed from the query')
+      })
+      it('does not read the query unless configured to', () => {
+        const result = strategy.parse({
+          headers: {},
+          query: { access_token: 'the_token_value' }
+        })
+        assert.strictEqual(result, null, 'A token was taken from the query')
+      })
+      it('prefers the header to the cookie and the query', () => {
+        strategy.app.set('authentication', { ...config, auth0: { ...config.auth0, cookie: true, queryParam: true } })
+        const result = strategy.parse({
+          headers: {
+            authorization: 'Bearer the_token_value',
+            cookie: 'access_token=cookie_value'
+          },
+          query: { access_token: 'query_value' }
+        })
+        assert.strictEqual(result.accessToken, 'the_token_value', 'The header was not preferred')
+      })
+    })
+  })
+})
+
+describe('The Denylist', () => {
+  it('drops jti entries once the token has expired', async () => {
+    const denylist = new Denylist()
+    const now = Math.floor(Date.now() / 1000)
+    await denylist.add({ jti: 'expired', exp: now - 1 })
+    await denylist.add({ jti: 'current', exp: now + 60 })
+    assert.strictEqual(await denylist.isRevoked({ jti: 'current' }), true, 'the token should be revoked')
+    assert.strictEqual(await denylist.isRevoked({ jti: 'expired' }), false, 'the entry was not dropped')
+    assert.deepEqual([...denylist.jtis.keys()], ['current'], 'the wrong entries were kept')
+  })
+
+  it('requires a jti or a sub', async () => {
+    await assert.rejects(new Denylist().add({ exp: 1 }), { name: 'BadRequest', message: 'A denylist entry needs a `jti` or a `sub`' })
+  })
+})
+
+describe('The EntityCache', () => {
+  const service = { id: 'id' }
+
+  it('drops the least recently used entity when it is full', () => {
+    const cache = new EntityCache(service, () => ({ max: 2, ttl: 60000 }))
+    cache.set('a', { id: 1 }).set('b', { id: 2 })
+    cache.get('a')
+    cache.set('c', { id: 3 })
+    assert.deepEqual([...cache.entries.keys()], ['a', 'c'], 'the wrong entity was dropped')
+  })
+
+  it('does not return expired entities', () => {
+    const cache = new EntityCache(service, () => ({ max: 2, ttl: -1 }))
+    cache.set('a', { id: 1 })
+    assert.strictEqual(cache.get('a'), undefined, 'an expired entity was returned')
+    assert.strictEqual(cache.entries.size, 0, 'the expired entity was not dropped')
+  })
+})
+
+describe('The JWKSCache', () => {
+  let fetches
+  let jwks
+  let options
+  let cache
+
+  beforeEach(() => {
+    fetches = 0
+    jwks = { keys: new Map([['key1', 'pem1']]) }
+    options = { cacheControl: true, failureThreshold: 5, refetchInterval: 30000, resetTimeout: 30000, ttl: 600000 }
+    cache = new JWKSCache(async () => {
+      fetches++
+      return jwks
+    }, () => options)
+  })
+
+  it('fetches the key set on first use and then caches it', async () => {
+    assert.strictEqual(await cache.getKey('key1'), 'pem1', 'did not return the key')
+    assert.strictEqual(await cache.getKey('key1'), 'pem1', 'did not return the key')
+    assert.strictEqual(fetches, 1, 'the key set was fetched more than once')
+  })
+
+  it('fetches the key set again once the ttl has passed', async () => {
+    options.ttl = 0
+    await cache.getKey('key1')
+    await cache.getKey('key1')
+    assert.strictEqual(fetches, 2, 'the key set was not fetched again')
+  })
+
+  it('uses the max-age of the JWKS response in place of the ttl', async () => {
+    jwks.maxAge = 15000
+    const now = Date.now()
+    await cache.getKey('key1')
+    assert(cache.expiresAt >= now + 15000 && cache.expiresAt < now + 600000, 'max-age was not used')
+  })
+
+  it('ignores the max-age if cacheControl is false', async () => {
+    jwks.maxAge = 15000
+    options.cacheControl = false
+    const now = Date.now()
+    await cache.getKey('key1')
+    assert(cache.expiresAt >= now + 600000, 'max-age was used')
+  })
+
+  it('drops keys that are no longer in the key set', async () => {
+    await cache.getKey('key1')
+    jwks = { keys: new Map([['key2', 'pem2']]) }
+    cache.expiresAt = 0
+    assert.strictEqual(await cache.getKey('key2'), 'pem2', 'did not return the new key')
+    assert(!cache.keys.has('key1'), 'the old key was not dropped')
+  })
+
+  it('fetches the key set again for an unknown kid', async () => {
+    options.refetchInterval = 0
+    await cache.getKey('key1')
+    jwks = { keys: new Map([['key1', 'pem1'], ['key2', 'pem2']]) }
+    assert.strictEqual(await cache.getKey('key2'), 'pem2', 'did not return the rotated key')
+    assert.strictEqual(fetches, 2, 'the key set was not fetched again')
+  })
+
+  it('limits how often an unknown kid fetches the key set', async () => {
+    await cache.getKey('key1')
+    try {
+      await cache.getKey('unknownKid')
+      assert.fail('Should never get here')
+    } catch (err) {
+      assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+      assert.strictEqual(err.message, 'No signing key found with kid "unknownKid"', 'wrong message')
+    }
+    assert.strictEqual(fetches, 1, 'the key set was fetched again too soon')
+  })
+
+  it('shares a single fetch between concurrent lookups', async () => {
+    const keys = await Promise.all([cache.getKey('key1'), cache.getKey('key1'), cache.getKey('key1')])
+    assert.deepEqual(keys, ['pem1', 'pem1', 'pem1'], 'did not return the keys')
+    assert.strictEqual(fetches, 1, 'the key set was fetched more than once')
+  })
+
+  it('stops fetching once failureThreshold fetches in a row have failed', async () => {
+    options.failureThreshold = 2
+    cache.fetchKeys = async () => {
+      fetches++
+      throw new Error('JWKS endpoint is down')
+    }
+    for (let i = 0; i < 3; i++) {
+      try {
+        await cache.getKey('key1')
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, i < 2 ? 'Error' : 'Unavailable', 'wrong error')
+      }
+    }
+    assert.strictEqual(fetches, 2, 'the key set was fetched while the circuit was open')
+    assert(cache.isOpen(), 'the circuit is not open')
+  })
+
+  it('tries fetching again once the resetTimeout has passed', async () => {
+    options.failureThreshold = 1
+    options.resetTimeout = 0
+    const fetchKeys = cache.fetchKeys
+    cache.fetchKeys = () => Promise.reject(new Error('JWKS endpoint is down'))
+    await cache.getKey('key1').catch(() => {})
+    cache.fetchKeys = fetchKeys
+    assert.strictEqual(await cache.getKey('key1'), 'pem1', 'did not return the key')
+    assert.strictEqual(cache.failures, 0, 'the failures were not reset')
+  })
+
+  it('serves expired keys while fetching in the background if staleWhileRevalidate is true', async () => {
+    options.staleWhileRevalidate = true
+    await cache.getKey('key1')
+    cache.expiresAt = 0
+    cache.fetchKeys = () => Promise.reject(new Error('JWKS endpoint is down'))
+    assert.strictEqual(await cache.getKey('key1'), 'pem1', 'did not return the stale key')
+    await new Promise(resolve => setImmediate(resolve))
+    assert.strictEqual(cache.failures, 1, 'the key set was not fetched in the background')
+    assert.strictEqual(cache.keys.get('key1'), 'pem1', 'the stale key was dropped')
+  })
+
+  it('does not serve expired keys if staleWhileRevalidate is false', async () => {
+    await cache.getKey('key1')
+    cache.expiresAt = 0
+    cache.fetchKeys = () => Promise.reject(new Error('JWKS endpoint is down'))
+    try {
+      await cache.getKey('key1')
+      assert.fail('Should never get here')
+    } catch (err) {
+      assert.strictEqual(err.message, 'JWKS endpoint is down', 'wrong error')
+    }
+  })
+
+  it('fetches the key set again after being cleared', async () => {
+    await cache.getKey('key1')
+    cache.clear()
+    assert(cache.isExpired(), 'the cache did not expire')
+    await cache.getKey('key1')
+    assert.strictEqual(fetches, 2, 'the key set was not fetched again')
+  })
+})
+
+describe('The Auth0ManagementService', () => {
+  let server, managementApp, requests, respond
+  const users = [{ user_id: 'auth0|1', email: 'one@example.com' }, { user_id: 'auth0|2', email: 'two@example.com' }]
+
+  before(async () => {
+    const listening = await listen((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        const request = { method: req.method, url: req.url, headers: req.headers, body: body && JSON.parse(body) }
+        requests.push(request)
+        const { status = 200, headers = {}, data } = respond(request)
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+        res.end(JSON.stringify(data))
+      })
+    })
+    server = listening.server
+    managementApp = feathers()
+    managementApp.set('authentication', {
+      auth0: {
+        domain: 'example.auth0.com',
+        management: { clientId: 'managementClient', clientSecret: 'shhh', retryDelay: 1, url: listening.url }
+      }
+    })
+    managementApp.use('/auth0/users', new Auth0ManagementService({ resource: 'users' }))
+    managementApp.use('/auth0/roles', new Auth0ManagementService({ resource: 'roles' }))
+    managementApp.setup()
+  })
+
+  beforeEach(() => {
+    requests = []
+    respond = ({ method, url }) => {
+      if (url === '/oauth/token') return { data: { access_token: 'managementToken', expires_in: 86400 } }
+      if (url.startsWith('/api/v2/users?')) return { data: { users, total: 2, start: 0, limit: 50 } }
+      if (url.startsWith('/api/v2/roles?')) return { data: { roles: [{ id: 'rol_1', name: 'admin' }], total: 1, start: 0, limit: 50 } }
+      if (url === '/api/v2/users/auth0%7C1') return method === 'DELETE' ? { status: 204 } : { data: users[0] }
+      return { status: 404, data: { statusCode: 404, error: 'Not Found', message: 'The user does not exist.' } }
+    }
+  })
+
+  after(() => server.close())
+
+  it('gets a client credentials token once and reuses it for every service', async () => {
+    await managementApp.service('auth0/users').get('auth0|1')
+    await managementApp.service('auth0/roles').find()
+    const tokenRequests = requests.filter(({ url }) => url === '/oauth/token')
+    assert.strictEqual(tokenRequests.length, 1, 'the token was not requested exactly once')
+    for (const { url, headers } of requests.filter(({ url }) => url.startsWith('/api/v2/'))) {
+      assert.strictEqual(headers.authorization, 'Bearer managementToken', `${url} was not called with the token`)
+    }
+  })
+
+  it('asks for a token for the Management API of `auth0.domain`', async () => {
+    const app = feathers()
+    app.set('authentication', managementApp.get('authentication'))
+    app.use('/auth0/users', new Auth0ManagementService())
+    app.setup()
+    await app.service('auth0/users').get('auth0|1')
+    const [{ body }] = requests.filter(({ url }) => url === '/oauth/token')
+    assert.deepEqual(body, {
+      grant_type: 'client_credentials',
+      client_id: 'managementClient',
+      client_secret: 'shhh',
+      audience: 'https://example.auth0.com/api/v2/'
+    }, 'the wrong token was requested')
+  })
+
+  it('maps `$limit` and `$skip` to pages', async () => {
+    const result = await managementApp.service('auth0/users').find({ query: { $limit: 10, $skip: 20, q: 'email:"one@example.com"' } })
+    assert.deepEqual(result, { total: 2, limit: 10, skip: 20, data: users }, 'the page was not returned')
+    const { searchParams } = new URL(requests.pop().url, 'http://localhost')
+    assert.deepEqual(Object.fromEntries(searchParams), {
+      q: 'email:"one@example.com"',
+      page: '2',
+      per_page: '10',
+      include_totals: 'true'
+    }, 'the wrong page was requested')
+    await assert.rejects(managementApp.service('auth0/users').find({ query: { $limit: 10, $skip: 5 } }), { name: 'BadRequest' })
   })
 
-  describe('handleConnection() method', () => {
-    it('is a function', () => {
-      assert(typeof strategy.handleConnection === 'function', 'authenticate() is not a function.')
-    })
+  it('returns just the records if `paginate` is false', async () => {
+    const roles = await managementApp.service('auth0/roles').find({ paginate: false })
+    assert.deepEqual(roles, [{ id: 'rol_1', name: 'admin' }], 'the roles were not returned')
+  })
 
+  it('fetches every page if `paginate` is false', async () => {
+    const many = Array.from({ length: 250 }, (_, index) => ({ user_id: `auth0|${index}` }))
+    respond = ({ url }) => {
+      if (url === '/oauth/token') return { data: { access_token: 'managementToken', expires_in: 86400 } }
+      const { searchParams } = new URL(url, 'http://localhost')
+      const [page, perPage] = [Number(searchParams.get('page')), Number(searchParams.get('per_page'))]
+      return { data: { users: many.slice(page * perPage, (page + 1) * perPage), total: many.length, start: page * perPage, limit: perPage } }
+    }
+    const service = managementApp.service('auth0/users')
+    assert.deepEqual(await service.find({ paginate: false }), many, 'not every user was returned')
+    const pages = requests.filter(({ url }) => url.startsWith('/api/v2/users?')).map(({ url }) => new URL(url, 'http://localhost').searchParams)
+    assert.deepEqual(pages.map(params => params.get('page')), ['0', '1', '2'], 'the wrong pages were requested')
+    assert.ok(pages.every(params => params.get('per_page') === '100'), 'the pages were not of the maximum size')
+    assert.deepEqual(await service.find({ paginate: false, query: { $skip: 130, $limit: 80 } }), many.slice(130, 210), 'the wrong users were returned for `$skip` and `$limit`')
   })
 
-  describe('parse() method', () => {
-    it('is a function', () => {
-      assert(typeof strategy.parse === 'function', 'parse() is not a function.')
-    })
-    it('extracts an accessToken value from an HTTP header scheme', () => {
-      const result = strategy.parse({
-        headers: {
-          authorization: 'Bearer the_token_value'
-        }
-      })
-      assert.deepEqual(result, {
-        strategy: 'auth0',
-        accessToken: 'the_token_value'
-      }, 'The expected parse() result was not returned')
-    })
-    it('extracts the accessToken value from a plain HTTP header', () => {
-      const result = strategy.parse({
-        headers: {
-          authorization: 'the_token_value'
-        }
-      })
-      assert.deepEqual(result, {
-        strategy: 'auth0',
-        accessToken: 'the_token_value'
-      }, 'The expected parse() result was not returned')
-    })
-    it('returns null for an absent header', () => {
-      const result = strategy.parse({
-        headers: {}
-      })
-      assert.strictEqual(result, null, 'Malformed parse() result')
+  it('maps `$sort` and `$select` and rejects other operators', async () => {
+    const service = managementApp.service('auth0/users')
+    await service.find({ query: { $sort: { created_at: -1 }, $select: ['user_id', 'email'] } })
+    const { searchParams } = new URL(requests.pop().url, 'http://localhost')
+    assert.strictEqual(searchParams.get('sort'), 'created_at:-1', 'the sort was not mapped')
+    assert.strictEqual(searchParams.get('fields'), 'user_id,email', 'the fields were not mapped')
+    assert.strictEqual(searchParams.get('include_fields'), 'true', 'the fields were not included')
+    const apiCalls = requests.length
+    await assert.rejects(service.find({ query: { $or: [{ email: 'one@example.com' }] } }), { name: 'BadRequest' })
+    await assert.rejects(service.find({ query: { email: { $ne: 'one@example.com' } } }), { name: 'BadRequest' })
+    await assert.rejects(service.find({ query: { $sort: { email: 1, created_at: -1 } } }), { name: 'BadRequest' })
+    assert.strictEqual(requests.length, apiCalls, 'the API was called with an unsupported query')
+  })
+
+  it('patches and removes records', async () => {
+    const service = managementApp.service('auth0/users')
+    await service.patch('auth0|1', { app_metadata: { plan: 'pro' } })
+    const patch = requests.pop()
+    assert.strictEqual(patch.method, 'PATCH', 'the record was not patched')
+    assert.deepEqual(patch.body, { app_metadata: { plan: 'pro' } }, 'the wrong patch was sent')
+    const removed = await service.remove('auth0|1')
+    assert.deepEqual(removed, users[0], 'the removed record was not returned')
+    assert.strictEqual(requests.pop().method, 'DELETE', 'the record was not deleted')
+  })
+
+  it('backs off and retries when it is rate limited', async () => {
+    let limited = 0
+    const respondNormally = respond
+    respond = request => request.url.startsWith('/api/v2/') && limited++ < 2
+      ? { status: 429, headers: { 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000)) }, data: { message: 'Too Many Requests' } }
+      : respondNormally(request)
+    const user = await managementApp.service('auth0/users').get('auth0|1')
+    assert.deepEqual(user, users[0], 'the user was not returned')
+    assert.strictEqual(limited, 3, 'the request was not retried')
+  })
+
+  it('turns API errors into Feathers errors', async () => {
+    await assert.rejects(managementApp.service('auth0/users').get('auth0|404'), {
+      name: 'NotFound',
+      message: 'The user does not exist.'
     })
   })
+
+  it('requires client credentials', async () => {
+    const app = feathers()
+    app.set('authentication', { auth0: { domain: 'example.auth0.com' } })
+    app.use('/auth0/users', new Auth0ManagementService())
+    app.setup()
+    await assert.rejects(app.service('auth0/users').get('auth0|1'), { name: 'GeneralError' })
+  })
+})
+
+describe('The Auth0LogStreamService', () => {
+  const users = app.service('users')
+  const log = (log_id, type, user_id, date = new Date().toISOString()) => ({ log_id, data: { date, type, user_id } })
+  const params = { provider: 'rest', headers: { authorization: 'Bearer logStreamSecret' } }
+  let logStream
+
+  before(() => {
+    const service = new Auth0Service(app)
+    service.register('auth0', new MockAuth0Strategy())
+    app.use('/authentication', service)
+    app.use('/auth0-logs', new Auth0LogStreamService())
+    logStream = app.service('auth0-logs')
+    logStream.setup(app, 'auth0-logs')
+  })
+
+  beforeEach(() => {
+    app.set('authentication', { ...config, auth0: { ...config.auth0, logStream: { secret: 'logStreamSecret' } } })
+  })
+
+  afterEach(async () => {
+    app.set('authentication', config)
+    await users.remove(null, { query: { user_id: 'auth0|streamed' } })
+  })
+
+  it('creates, patches and removes entities for log events', async () => {
+    const results = await logStream.create([log('1', 'ss', 'auth0|streamed'), log('2', 'limit_wc', 'auth0|streamed')], params)
+    assert.deepEqual(results.map(({ result }) => result), ['created', 'patched'], 'the events were not handled')
+    const [user] = await users.find({ paginate: false, query: { user_id: 'auth0|streamed' } })
+    assert.strictEqual(user.blocked, true, 'the user was not blocked')
+    const removed = await logStream.create(log('3', 'sdu', 'auth0|streamed'), params)
+    assert.deepEqual(removed, { log_id: '3', type: 'sdu', result: 'removed' }, 'the user was not removed')
+    assert.strictEqual((await users.find({ paginate: false, query: { user_id: 'auth0|streamed' } })).length, 0, 'the user still exists')
+  })
+
+  it('handles each event only once', async () => {
+    await logStream.create(log('4', 'ss', 'auth0|streamed'), params)
+    const [user] = await users.find({ paginate: false, query: { user_id: 'auth0|streamed' } })
+    await users.remove(user._id)
+    const replayed = await logStream.create(log('4', 'ss', 'auth0|streamed'), params)
+    assert.strictEqual(replayed.result, 'duplicate', 'the event was handled again')
+    assert.strictEqual((await users.find({ paginate: false, query: { user_id: 'auth0|streamed' } })).length, 0, 'the user was created again')
+  })
+
+  it('ignores events that are too old, unknown or already applied', async () => {
+    const old = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
+    const results = await logStream.create([
+      log('5', 'ss', 'auth0|streamed', old),
+      log('6', 's', 'auth0|streamed'),
+      log('7', 'scp', 'auth0|streamed')
+    ], params)
+    assert.deepEqual(results.map(({ result }) => result), ['expired', 'ignored', 'ignored'], 'the events were not ignored')
+  })
+
+  it('uses the configured events', async () => {
+    const logStreamSettings = { secret: 'logStreamSecret', events: { ss: { method: 'create', data: ({ user_name }) => ({ email: user_name }) }, limit_wc: false } }
+    app.set('authentication', { ...config, auth0: { ...config.auth0, logStream: logStreamSettings } })
+    const signup = log('8', 'ss', 'auth0|streamed')
+    signup.data.user_name = 'streamed@example.com'
+    const results = await logStream.create([signup, log('9', 'limit_wc', 'auth0|streamed')], params)
+    assert.deepEqual(results.map(({ result }) => result), ['created', 'ignored'], 'the configured events were not used')
+    const [user] = await users.find({ paginate: false, query: { user_id: 'auth0|streamed' } })
+    assert.strictEqual(user.email, 'streamed@example.com', 'the data was not mapped')
+  })
+
+  it('rejects requests without the shared secret', async () => {
+    await assert.rejects(
+      logStream.create(log('10', 'ss', 'auth0|streamed'), { ...params, headers: { authorization: 'Bearer wrong' } }),
+      { name: 'NotAuthenticated', message: 'The log stream request could not be verified' }
+    )
+    await assert.rejects(logStream.create(log('10', 'ss', 'auth0|streamed'), { provider: 'rest' }), { name: 'NotAuthenticated' })
+    await assert.rejects(logStream.create({ data: {} }, params), { name: 'BadRequest' })
+    app.set('authentication', config)
+    await assert.rejects(logStream.create(log('10', 'ss', 'auth0|streamed'), params), { name: 'GeneralError' })
+  })
 })
 
 describe('The Auth0Service', () => {
@@ -363,6 +2040,44 @@ describe('The Auth0Service', () => {
       assert.strictEqual(secret, 'I_am_not_used', 'The dummy secret was not set')
     })
 
+    it('does not require an entity service if `auth0.service` is null', () => {
+      const appWithoutUsers = feathers()
+      const entitylessService = new Auth0Service(appWithoutUsers, 'authentication', {
+        auth0: { domain: 'example.auth0.com', service: null },
+        authStrategies: ['auth0']
+      })
+      entitylessService.register('auth0', new MockAuth0Strategy())
+      appWithoutUsers.use('/authentication', entitylessService)
+      appWithoutUsers.setup()
+      const { entity } = appWithoutUsers.get('authentication')
+      assert.strictEqual(entity, null, 'The entity was not turned off')
+    })
+
+    it('sends token-expiring events only to the connection whose token is expiring', () => {
+      const appWithChannels = feathers()
+      appWithChannels.configure(channels())
+      const channelService = new Auth0Service(appWithChannels, 'authentication', {
+        auth0: { domain: 'example.auth0.com' },
+        authStrategies: ['auth0'],
+        entity: 'user',
+        entityId: 'user_id',
+        service: 'users'
+      })
+      channelService.register('auth0', new MockAuth0Strategy())
+      appWithChannels.use('/users', { async find () { return [] } })
+      appWithChannels.use('/authentication', channelService)
+      appWithChannels.setup()
+      const connection = {}
+      const other = {}
+      appWithChannels.channel('authenticated').join(connection, other)
+      const published = new Promise(resolve => appWithChannels.once('publish', (event, channel) => resolve({ event, channel })))
+      appWithChannels.service('authentication').getStrategies('auth0')[0].emitTokenExpiring(connection, Math.floor(Date.now() / 1000) + 60)
+      return published.then(({ event, channel }) => {
+        assert.strictEqual(event, 'token-expiring', 'the wrong event was published')
+        assert.deepEqual(channel.connections, [connection], 'the event was not published to the connection')
+      })
+    })
+
     it('does not set a dummy secret if auth0 is not the only strategy', () => {
       const appWithoutDummySecret = feathers()
       appWithoutDummySecret.use('/users', {
@@ -591,6 +2306,56 @@ describe('The Auth0Service', () => {
         'The before find authenticate hook was not registered on the products service when it should be'
       )
     })
+    it('registers the setAudience() hook on services with their own audience', () => {
+      const appAutoRegister = feathers()
+      const autoRegisterService = new Auth0Service(appAutoRegister, 'authentication', {
+        auth0: {
+          autoregister: true,
+          domain: 'example',
+          serviceAudiences: { products: 'https://products.example.com' }
+        },
+        authStrategies: ['auth0'],
+        entity: 'user',
+        entityId: 'user_id',
+        service: 'users'
+      })
+      autoRegisterService.register('auth0', new MockAuth0Strategy())
+      appAutoRegister.use('/authentication', autoRegisterService)
+      appAutoRegister.use('/users', { async find () { return [] } })
+      appAutoRegister.use('/products', { async find () { return [] } })
+      appAutoRegister.setup()
+      assert.strictEqual(
+        appAutoRegister.service('users').__hooks.before.find.length,
+        1,
+        'The setAudience hook was registered on the users service when it should not be'
+      )
+      const [setAudienceHook, authenticateHook] = appAutoRegister.service('products').__hooks.before.find
+      assert.strictEqual(typeof authenticateHook, 'function', 'The authenticate hook was not registered on the products service')
+      const context = setAudienceHook({ params: {} })
+      assert.strictEqual(context.params.audience, 'https://products.example.com', 'The audience was not set')
+    })
+
+    it('lets signed requests skip authentication instead of requests from Auth0 IP addresses', async () => {
+      const appAutoRegister = feathers()
+      const autoRegisterService = new Auth0Service(appAutoRegister, 'authentication', {
+        auth0: { autoregister: true, domain: 'example', fromAuth0: 'signature', signing: { secrets: { one: 'shhh' } } },
+        authStrategies: ['auth0'],
+        entity: 'user',
+        entityId: 'user_id',
+        service: 'users'
+      })
+      autoRegisterService.register('auth0', new MockAuth0Strategy())
+      appAutoRegister.use('/authentication', autoRegisterService)
+      appAutoRegister.use('/users', { async create (data) { return data } })
+      appAutoRegister.setup()
+      const data = { user_id: 'auth0|signed' }
+      const headers = { 'x-auth0-signature': signRequest({ method: 'create', path: 'users', data }, 'shhh', 'one') }
+      assert.deepEqual(await appAutoRegister.service('users').create(data, { provider: 'rest', headers }), data, 'the signed request was rejected')
+      await assert.rejects(
+        appAutoRegister.service('users').create(data, { provider: 'rest', ip: usIPAddresses[0], headers: {} }),
+        { name: 'NotAuthenticated' }
+      )
+    })
   })
 
   describe('authenticate() hook', () => {
@@ -734,7 +2499,7 @@ describe('The Auth0Service', () => {
       catch (err) {
         assert.strictEqual(err.name, 'NotAuthenticated', 'should be \'NotAuthenticated\'')
         assert.strictEqual(err.message, 'Token could not be verified', 'wrong message')
-        assert.strictEqual(err.data.message, 'jwt issuer invalid. expected: https://example.auth0.com/', 'wrong data')
+        assert.strictEqual(err.data.message, 'The access token was issued by an untrusted issuer: https://example.auth0.com', 'wrong data')
       }
     })
 
@@ -744,6 +2509,196 @@ describe('The Auth0Service', () => {
     })
   })
 
+  describe('optionalAuth0() hook', () => {
+    const hook = optionalAuth0()
+    const copy = context => ({ ...context, params: { ...context.params } })
+
+    before(async () => {
+      await app.service('users').create({ user_id: 'auth0|currentValidTokenMember' })
+    })
+
+    after(async () => {
+      await app.service('users').remove(null, { query: { user_id: 'auth0|currentValidTokenMember' } })
+    })
+
+    it('lets calls without an access token through unauthenticated', async () => {
+      const context = await hook(copy(contexts.noAuthenticationContext))
+      assert.strictEqual(context.params.user, undefined, 'a user was set')
+      assert.strictEqual(context.params.authenticated, undefined, 'the call was authenticated')
+    })
+
+    it('authenticates calls with a valid access token', async () => {
+      const { params } = await hook(copy(contexts.currentValidTokenMemberContext))
+      assert.strictEqual(params.user.user_id, 'auth0|currentValidTokenMember', 'the user was not set')
+      assert.strictEqual(params.authentication.payload.sub, 'auth0|currentValidTokenMember', 'the payload was not set')
+      assert.strictEqual(params.authenticated, true, 'the call was not authenticated')
+    })
+
+    it('rejects calls with an invalid access token', async () => {
+      await assert.rejects(hook(copy(contexts.malformedTokenContext)), { name: 'NotAuthenticated', message: 'Token could not be verified' })
+    })
+
+    it('throws an error if used as an after hook', () => {
+      assert.throws(() => hook(contexts.afterContext), { name: 'GeneralError', message: 'The optionalAuth0 hook must be used as a before hook' })
+    })
+
+    it('is registered on `optionalServices` by autoregister', async () => {
+      const appAutoRegister = feathers()
+      const autoRegisterService = new Auth0Service(appAutoRegister, 'authentication', {
+        auth0: { autoregister: true, domain: 'example', optionalServices: ['products'] },
+        authStrategies: ['auth0'],
+        entity: 'user',
+        entityId: 'user_id',
+        service: 'users'
+      })
+      autoRegisterService.register('auth0', new MockAuth0Strategy())
+      appAutoRegister.use('/authentication', autoRegisterService)
+      appAutoRegister.use('/users', { async find () { return [] } })
+      appAutoRegister.use('/products', { async find () { return [] } })
+      appAutoRegister.setup()
+      assert.deepEqual(await appAutoRegister.service('products').find({ provider: 'rest', ip: '66.66.66.66' }), [], 'the anonymous call was rejected')
+      await assert.rejects(appAutoRegister.service('users').find({ provider: 'rest', ip: '66.66.66.66' }), { name: 'NotAuthenticated' })
+    })
+  })
+
+  describe('isClient() and isUser() hooks', () => {
+    const contextWith = payload => ({ params: { authentication: payload && { payload } } })
+
+    it('tell machine-to-machine callers from people', () => {
+      const client = contextWith({ sub: 'abc123@clients', gty: 'client-credentials' })
+      const person = contextWith({ sub: 'auth0|currentValidTokenMember' })
+      assert.strictEqual(isClient()(client), true, 'the client was not recognized')
+      assert.strictEqual(isUser()(client), false, 'the client was taken for a user')
+      assert.strictEqual(isClient()(person), false, 'the user was taken for a client')
+      assert.strictEqual(isUser()(person), true, 'the user was not recognized')
+    })
+
+    it('are false for calls that are not authenticated', () => {
+      assert.strictEqual(isClient()(contextWith()), false, 'should be false')
+      assert.strictEqual(isUser()(contextWith()), false, 'should be false')
+    })
+  })
+
+  describe('setAudience() hook', () => {
+    it('sets the audience in the params', () => {
+      const context = setAudience(['https://api.example.com'])({ params: { provider: 'rest' } })
+      assert.deepEqual(context.params, { provider: 'rest', audience: ['https://api.example.com'] }, 'The audience was not set')
+    })
+  })
+
+  describe('requireScopes() hook', () => {
+    const contextWith = (payload, method = 'find') => ({
+      app,
+      type: 'before',
+      method,
+      params: { provider: 'rest', authentication: { strategy: 'auth0', payload } }
+    })
+    const payload = { sub: 'auth0|currentValidTokenMember', scope: 'openid read:orders write:orders' }
+
+    it('returns the context if the token has all of the required scopes', () => {
+      const context = contextWith(payload)
+      assert.strictEqual(requireScopes(['read:orders', 'write:orders'])(context), context, 'the contexts differ')
+      assert.strictEqual(requireScopes('read:orders write:orders')(context), context, 'the contexts differ')
+    })
+
+    it('throws a Forbidden listing the scopes that are missing', () => {
+      try {
+        requireScopes(['read:orders', 'delete:orders', 'admin'])(contextWith(payload))
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'Forbidden', 'should throw a Forbidden')
+        assert.strictEqual(err.message, 'Missing required scopes: delete:orders, admin', 'wrong message')
+        assert.deepEqual(err.data, { scopes: ['delete:orders', 'admin'] }, 'wrong data')
+      }
+    })
+
+    it('only requires one of the scopes if `any` is true', () => {
+      const context = contextWith(payload)
+      assert.strictEqual(requireScopes(['delete:orders', 'read:orders'], { any: true })(context), context, 'the contexts differ')
+      try {
+        requireScopes(['delete:orders', 'admin'], { any: true })(context)
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.message, 'Missing required scopes: delete:orders, admin', 'wrong message')
+      }
+    })
+
+    it('requires the scopes mapped to the service method', () => {
+      const hook = requireScopes({ find: 'read:orders', remove: ['delete:orders'] })
+      assert(hook(contextWith(payload, 'find')), 'the find call was rejected')
+      assert(hook(contextWith(payload, 'create')), 'the unmapped create call was rejected')
+      try {
+        hook(contextWith(payload, 'remove'))
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.message, 'Missing required scopes: delete:orders', 'wrong message')
+      }
+    })
+
+    it('does not check calls from the server', () => {
+      const context = { app, type: 'before', method: 'find', params: {} }
+      assert.strictEqual(requireScopes('admin')(context), context, 'the contexts differ')
+    })
+
+    it('throws a NotAuthenticated if the call has not been authenticated', () => {
+      try {
+        requireScopes('read:orders')({ app, type: 'before', method: 'find', params: { provider: 'rest' } })
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'NotAuthenticated', 'should throw a NotAuthenticated')
+      }
+    })
+
+    it('throws an error if used as an after hook', () => {
+      try {
+        requireScopes('read:orders')({ ...contextWith(payload), type: 'after' })
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'GeneralError', 'should throw a GeneralError')
+        assert.strictEqual(err.message, 'The requireScopes hook must be used as a before hook', 'wrong message')
+      }
+    })
+  })
+
+  describe('requirePermissions() hook', () => {
+    const contextWith = (permissions, method = 'find') => ({
+      app,
+      type: 'before',
+      method,
+      params: { provider: 'rest', authentication: { strategy: 'auth0', payload: { permissions } } }
+    })
+
+    it('returns the context if the token has all of the required permissions', () => {
+      const context = contextWith(['read:orders', 'write:orders'])
+      assert.strictEqual(requirePermissions(['read:orders', 'write:orders'])(context), context, 'the contexts differ')
+    })
+
+    it('throws a Forbidden listing the permissions that are missing', () => {
+      try {
+        requirePermissions({ patch: ['read:orders', 'write:orders'] })(contextWith(['read:orders'], 'patch'))
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'Forbidden', 'should throw a Forbidden')
+        assert.strictEqual(err.message, 'Missing required permissions: write:orders', 'wrong message')
+        assert.deepEqual(err.data, { permissions: ['write:orders'] }, 'wrong data')
+      }
+    })
+
+    it('only requires one of the permissions if `any` is true', () => {
+      const context = contextWith(['write:orders'])
+      assert.strictEqual(requirePermissions(['read:orders', 'write:orders'], { any: true })(context), context, 'the contexts differ')
+    })
+
+    it('throws a Forbidden if the token has no permissions claim', () => {
+      try {
+        requirePermissions('read:orders')(contextWith(undefined))
+        assert.fail('Should never get here')
+      } catch (err) {
+        assert.strictEqual(err.name, 'Forbidden', 'should throw a Forbidden')
+      }
+    })
+  })
+
   describe('fromAuth0() hook', () => {
     let fromAuth0Hook
     let fromEuropeanAuth0Hook
@@ -844,6 +2799,233 @@ describe('The Auth0Service', () => {
       isWhitelisted = await fromAuth0Hook(contexts.fromAuth0Context)
       assert(isWhitelisted, 'The IP address whitelist was not correctly overridden')
     })
+
+    it('accepts IPv4-mapped IPv6 addresses', async () => {
+      app.set('authentication', config)
+      const isWhitelisted = await fromAuth0Hook({ ...contexts.fromAuth0Context, params: { ip: `::ffff:${usIPAddresses[0]}` } })
+      assert(isWhitelisted, 'the IPv4-mapped address was rejected')
+    })
+
+    it('can mix single addresses, CIDR ranges and regions in the whitelist', async () => {
+      app.set('authentication', { ...config, auth0: { ...config.auth0, whitelist: ['eu', '10.0.0.0/8', '2001:db8::/32', '192.0.2.1'] } })
+      const check = ip => fromAuth0Hook({ app, params: { ip } })
+      assert(await check(euIPAddresses[0]), 'an address of the region was rejected')
+      assert(await check('10.20.30.40'), 'an address in the IPv4 range was rejected')
+      assert(await check('::ffff:10.20.30.40'), 'a mapped address in the IPv4 range was rejected')
+      assert(await check('2001:DB8::1'), 'an address in the IPv6 range was rejected')
+      assert(await check('192.0.2.1'), 'the single address was rejected')
+      assert(!(await check('192.0.2.2')), 'an address outside the whitelist was accepted')
+      assert(!(await check(usIPAddresses[0])), 'an address of another region was accepted')
+      assert(!(await check(undefined)), 'a missing address was accepted')
+    })
+
+    it('parses each whitelist only once', async () => {
+      const whitelist = ['10.0.0.0/8']
+      app.set('authentication', { ...config, auth0: { ...config.auth0, whitelist } })
+      assert(await fromAuth0Hook({ app, params: { ip: '10.0.0.1' } }), 'the address was rejected')
+      whitelist.push('192.0.2.1')
+      assert(!(await fromAuth0Hook({ app, params: { ip: '192.0.2.1' } })), 'the whitelist was parsed again')
+    })
+
+    it('normalizes addresses and rejects invalid whitelist entries', () => {
+      assert.deepEqual(normalizeIP('::ffff:35.167.74.121'), { address: '35.167.74.121', type: 'ipv4' }, 'the mapped address was not normalized')
+      assert.deepEqual(normalizeIP('[2001:DB8::1%eth0]'), { address: '2001:db8::1', type: 'ipv6' }, 'the IPv6 address was not normalized')
+      assert.strictEqual(normalizeIP('not-an-ip'), null, 'a hostname was taken for an address')
+      assert(compileWhitelist(['::ffff:10.0.0.0/104']).check('10.1.1.1'), 'the mapped range was not turned into an IPv4 range')
+      for (const entry of ['example.com', '10.0.0.0/33', '10.0.0.0/', 'us/8']) {
+        assert.throws(() => compileWhitelist([entry]), { name: 'GeneralError' }, `${entry} was accepted`)
+      }
+    })
+
+    it('fails closed and reports once if the whitelist in the config is invalid', async () => {
+      const { error } = console
+      const errors = []
+      console.error = message => errors.push(message)
+      const thingsApp = feathers()
+      thingsApp.set('authentication', { ...config, auth0: { ...config.auth0, whitelist: ['35.0.0.0/33'] } })
+      thingsApp.use('/things', { async find () { return [] } })
+      thingsApp.service('things').hooks({
+        before: { all: [unless(some(isProvider('server'), fromAuth0Hook), () => { throw new Error('not from Auth0') })] }
+      })
+      try {
+        assert.deepEqual(await thingsApp.service('things').find(), [], 'the server call was rejected')
+        await assert.rejects(thingsApp.service('things').find({ provider: 'rest', ip: '35.0.0.1' }), { message: 'not from Auth0' })
+        assert.strictEqual(await fromAuth0Hook({ app: thingsApp, params: { ip: '35.0.0.1' } }), false, 'the request was let through')
+        assert.strictEqual(errors.length, 1, 'the invalid whitelist was not reported exactly once')
+        assert(errors[0].includes('`35.0.0.0/33`'), 'the invalid entry was not reported')
+      } finally {
+        console.error = error
+      }
+    })
+  })
+
+  describe('IP address lists', () => {
+    let dir
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ips-'))
+    })
+
+    afterEach(() => {
+      useIPAddressesFile(bundledFile)
+      loadIPAddresses()
+      app.set('authentication', config)
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('come from the bundled data file without duplicates', () => {
+      assert.deepEqual(Object.keys(regions).filter(region => regions[region].length).sort(), ['au', 'eu', 'us'], 'the wrong regions were loaded')
+      assert.strictEqual(new Set(euIPAddresses).size, euIPAddresses.length, 'the EU list has duplicates')
+    })
+
+    it('can be reloaded at runtime', async () => {
+      const file = path.join(dir, 'ips.json')
+      fs.writeFileSync(file, JSON.stringify({ regions: { us: ['192.0.2.0/24'], jp: ['198.51.100.7'] } }))
+      const fromAuth0Hook = fromAuth0()
+      loadIPAddresses(file)
+      assert(await fromAuth0Hook({ app, params: { ip: '192.0.2.10' } }), 'the new US list was not used')
+      assert(!(await fromAuth0Hook({ app, params: { ip: '35.167.74.121' } })), 'the old US list was still used')
+      app.set('authentication', { ...config, auth0: { ...config.auth0, whitelist: 'jp' } })
+      assert(await fromAuth0Hook({ app, params: { ip: '198.51.100.7' } }), 'the new JP list was not used')
+      assert.deepEqual(euIPAddresses, [], 'a region missing from the file was not emptied')
+    })
+
+    it('are reloaded when the `ipAddressesFile` changes', async () => {
+      const file = path.join(dir, 'ips.json')
+      fs.writeFileSync(file, JSON.stringify({ regions: { us: ['192.0.2.1'] } }))
+      app.set('authentication', { ...config, auth0: { ...config.auth0, ipAddressesFile: file } })
+      const fromAuth0Hook = fromAuth0()
+      assert(await fromAuth0Hook({ app, params: { ip: '192.0.2.1' } }), 'the configured file was not used')
+      await refreshIPAddresses({ source: writeSource(dir, { us: ['192.0.2.2'] }), out: file })
+      for (let i = 0; i < 50 && usIPAddresses[0] !== '192.0.2.2'; i++) await new Promise(resolve => setTimeout(resolve, 20))
+      assert(await fromAuth0Hook({ app, params: { ip: '192.0.2.2' } }), 'the changed file was not reloaded')
+    })
+
+    it('can be refreshed from a URL', async () => {
+      const { server, url } = await listen((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ regions: { US: ['192.0.2.1', '192.0.2.1'], uk: ['2001:db8::/32'] } }))
+      })
+      const out = path.join(dir, 'ips.json')
+      try {
+        const data = await refreshIPAddresses({ source: `${url}/ips.json`, out })
+        assert.deepEqual(data.regions, { us: ['192.0.2.1'], uk: ['2001:db8::/32'] }, 'the lists were not tidied up')
+        assert.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')), data, 'the data file was not written')
+      } finally {
+        server.close()
+      }
+    })
+
+    it('are not refreshed with invalid lists', async () => {
+      const out = path.join(dir, 'ips.json')
+      await assert.rejects(refreshIPAddresses({ source: writeSource(dir, { us: ['not-an-ip'] }), out }), { name: 'GeneralError' })
+      await assert.rejects(refreshIPAddresses({ source: writeSource(dir, { us: 'us' }), out }), { name: 'GeneralError' })
+      await assert.rejects(refreshIPAddresses({ out }), { name: 'GeneralError' })
+      assert(!fs.existsSync(out), 'the data file was written')
+    })
+
+    it('refuse regions without any IP addresses when the hook is created', () => {
+      assert(!regions.jp || !regions.jp.length, 'the bundled data file has a JP list')
+      assert.throws(() => fromAuth0({ whitelist: 'jp' }), { name: 'GeneralError' }, 'the hook was created for an empty region')
+      assert.throws(() => fromAuth0({ whitelist: ['192.0.2.1', 'ca'] }), { name: 'GeneralError' }, 'the hook was created with an empty region')
+      assert.doesNotThrow(() => fromAuth0({ whitelist: 'constructor' }), 'a name that is not a region did not fall back to US')
+    })
+
+    it('turn away requests for regions without any IP addresses', async () => {
+      const { error } = console
+      const errors = []
+      console.error = message => errors.push(message)
+      const fromAuth0Hook = fromAuth0()
+      const file = path.join(dir, 'ips.json')
+      try {
+        app.set('authentication', { ...config, auth0: { ...config.auth0, whitelist: 'uk' } })
+        assert.strictEqual(fromAuth0Hook({ app, params: { ip: '192.0.2.1' } }), false, 'the empty region from the config was used')
+        fs.writeFileSync(file, JSON.stringify({ regions: { us: usIPAddresses } }))
+        app.set('authentication', { ...config, auth0: { ...config.auth0, ipAddressesFile: file, whitelist: 'eu' } })
+        assert.strictEqual(fromAuth0Hook({ app, params: { ip: euIPAddresses[0] } }), false, 'a region missing from the reloaded file was used')
+        assert.strictEqual(errors.length, 2, 'the empty regions were not reported')
+      } finally {
+        console.error = error
+      }
+      fs.writeFileSync(file, JSON.stringify({ regions: { us: usIPAddresses, uk: ['192.0.2.1'] } }))
+      loadIPAddresses(file)
+      app.set('authentication', { ...config, auth0: { ...config.auth0, whitelist: 'uk' } })
+      assert(await fromAuth0Hook({ app, params: { ip: '192.0.2.1' } }), 'the refreshed UK list was not used')
+    })
+
+    it('fail the setup of an autoregistered app whose whitelist names an empty region', () => {
+      const setupApp = whitelist => {
+        const appAutoRegister = feathers()
+        const autoRegisterService = new Auth0Service(appAutoRegister, 'authentication', {
+          auth0: { autoregister: true, domain: 'example', whitelist },
+          authStrategies: ['auth0'],
+          entity: 'user',
+          entityId: 'user_id',
+          service: 'users'
+        })
+        autoRegisterService.register('auth0', new MockAuth0Strategy())
+        appAutoRegister.use('/authentication', autoRegisterService)
+        appAutoRegister.use('/users', { async create (data) { return data } })
+        appAutoRegister.setup()
+      }
+      assert.throws(() => setupApp('jp'), { name: 'GeneralError' }, 'the app was set up with an empty region')
+      assert.doesNotThrow(() => setupApp('eu'), 'the app was not set up with a known region')
+    })
+  })
+
+  describe('signedByAuth0() hook', () => {
+    const call = { method: 'patch', path: 'users', id: 'abc', query: { user_id: 'auth0|1' }, data: { email: 'one@example.com' } }
+    const contextFor = (header, changes = {}) => ({
+      app,
+      ...call,
+      params: { provider: 'rest', query: call.query, headers: { 'x-auth0-signature': header } },
+      ...changes
+    })
+
+    beforeEach(() => {
+      app.set('authentication', { ...config, auth0: { ...config.auth0, signing: { secrets: { old: 'oldSecret', new: 'newSecret' } } } })
+    })
+
+    afterEach(() => app.set('authentication', config))
+
+    it('accepts a request signed with any of the secrets', () => {
+      const signedByAuth0Hook = signedByAuth0()
+      assert.strictEqual(signedByAuth0Hook(contextFor(signRequest(call, 'oldSecret', 'old'))), true, 'the old secret was rejected')
+      assert.strictEqual(signedByAuth0Hook(contextFor(signRequest(call, 'newSecret', 'new'))), true, 'the new secret was rejected')
+      assert.strictEqual(signedByAuth0Hook(contextFor(signRequest(call, 'newSecret', undefined, Math.floor(Date.now() / 1000) - 1))), true, 'the signature without a kid was rejected')
+    })
+
+    it('rejects requests with a wrong, stale or reused signature', () => {
+      const signedByAuth0Hook = signedByAuth0()
+      const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600
+      assert.strictEqual(signedByAuth0Hook(contextFor(signRequest(call, 'wrongSecret'))), false, 'a wrong secret was accepted')
+      assert.strictEqual(signedByAuth0Hook(contextFor(signRequest(call, 'oldSecret', 'new'))), false, 'a secret was accepted for the wrong kid')
+      assert.strictEqual(signedByAuth0Hook(contextFor(signRequest(call, 'newSecret', 'new', tenMinutesAgo))), false, 'a stale signature was accepted')
+      assert.strictEqual(signedByAuth0Hook(contextFor(signRequest(call, 'newSecret'), { id: 'xyz' })), false, 'the signature was accepted for another record')
+      assert.strictEqual(signedByAuth0Hook(contextFor(undefined)), false, 'a request without a signature was accepted')
+      const header = signRequest(call, 'newSecret', 'new')
+      assert.strictEqual(signedByAuth0Hook(contextFor(header)), true, 'the signature was rejected')
+      assert.strictEqual(signedByAuth0Hook(contextFor(header)), false, 'the signature was accepted twice')
+      const [prefix, signature] = header.split('v1=')
+      assert.strictEqual(signedByAuth0Hook(contextFor(`${prefix}v1=${signature.toUpperCase()}`)), false, 'the upper-cased signature was accepted again')
+      assert.strictEqual(signedByAuth0Hook(contextFor(`${header}zz`)), false, 'the signature with a suffix was accepted again')
+    })
+
+    it('rejects key ids that are not among the secrets', () => {
+      const signedByAuth0Hook = signedByAuth0()
+      for (const kid of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        const header = signRequest(call, 'newSecret', kid)
+        assert.strictEqual(signedByAuth0Hook(contextFor(header)), false, `the kid \`${kid}\` was accepted`)
+      }
+    })
+
+    it('can be given its own secrets, header and tolerance', () => {
+      const signedByAuth0Hook = signedByAuth0({ header: 'X-Signature', secrets: { mine: 'mySecret' }, tolerance: 1000 })
+      const header = signRequest(call, 'mySecret', 'mine', Math.floor(Date.now() / 1000) - 600)
+      const context = contextFor(undefined)
+      context.params.headers = { 'x-signature': header }
+      assert.strictEqual(signedByAuth0Hook(context), true, 'the options were not used')
+    })
   })
 
   describe('connection() hook', () => {